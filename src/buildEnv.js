@@ -0,0 +1,103 @@
+const { quoteShellArg } = require("./shell");
+
+// Hetzner credentials stay on the machine that drives the build, even when a
+// pattern or explicit value would otherwise forward them.
+const DENIED_PATTERNS = ["HCLOUD_*", "HETZNER_*", "HTZBUILD_S3_*"];
+const ALWAYS_FORWARDED = ["EXPO_TOKEN"];
+const DEFAULT_SECRET_KEYS = [
+  "EXPO_TOKEN",
+  "HCLOUD_TOKEN",
+  "HETZNER_WATCHDOG_TOKEN",
+  "HTZBUILD_S3_SECRET_ACCESS_KEY"
+];
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function patternToRegExp(pattern) {
+  const escaped = String(pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+function matchesAny(key, patterns) {
+  return patterns.some((pattern) => patternToRegExp(pattern).test(key));
+}
+
+function isDeniedKey(key) {
+  return matchesAny(key, DENIED_PATTERNS);
+}
+
+// Profile sections add patterns and override values of the top-level section.
+function resolveBuildEnvSettings(config, profile) {
+  const buildEnv = (config && config.buildEnv) || {};
+  const profileEnv = (buildEnv.profiles && buildEnv.profiles[profile]) || {};
+  return {
+    include: [...(buildEnv.include || []), ...(profileEnv.include || [])],
+    exclude: [...(buildEnv.exclude || []), ...(profileEnv.exclude || [])],
+    values: { ...(buildEnv.values || {}), ...(profileEnv.values || {}) }
+  };
+}
+
+function collectBuildEnv(env, settings) {
+  const vars = {};
+  const denied = [];
+  const invalid = [];
+
+  const consider = (key, value) => {
+    if (!ENV_KEY_PATTERN.test(key)) {
+      invalid.push(key);
+      return;
+    }
+    if (isDeniedKey(key)) {
+      denied.push(key);
+      return;
+    }
+    if (matchesAny(key, settings.exclude)) {
+      return;
+    }
+    vars[key] = String(value);
+  };
+
+  ALWAYS_FORWARDED.forEach((key) => {
+    if (env[key]) {
+      consider(key, env[key]);
+    }
+  });
+  Object.keys(env)
+    .filter((key) => matchesAny(key, settings.include))
+    .sort()
+    .forEach((key) => consider(key, env[key]));
+  Object.entries(settings.values).forEach(([key, value]) => consider(key, value));
+
+  return { vars, denied: [...new Set(denied)], invalid };
+}
+
+// Values that must never appear in output: the tokens, everything forwarded
+// from the environment and any keys listed under secretKeys in the config.
+function collectSecretValues(env, config, settings) {
+  const secretKeys = [...DEFAULT_SECRET_KEYS, ...((config && config.secretKeys) || [])];
+  const include = (settings && settings.include) || [];
+  return Object.keys(env)
+    .filter((key) => matchesAny(key, secretKeys) || matchesAny(key, include))
+    .map((key) => env[key])
+    .filter((value) => typeof value === "string" && value.length > 0);
+}
+
+function renderEnvFile({ envScript = [], extraLines = [], vars = {} }) {
+  return [
+    ...envScript,
+    ...extraLines,
+    ...Object.entries(vars).map(([key, value]) => `export ${key}=${quoteShellArg(value)}`),
+    ""
+  ].join("\n");
+}
+
+module.exports = {
+  DENIED_PATTERNS,
+  isDeniedKey,
+  resolveBuildEnvSettings,
+  collectBuildEnv,
+  collectSecretValues,
+  renderEnvFile
+};
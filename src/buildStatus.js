@@ -0,0 +1,138 @@
+const { quoteShellArg } = require("./shell");
+
+const BUILD_PHASES = {
+  running: "running",
+  succeeded: "succeeded",
+  failed: "failed"
+};
+
+function pidFileFor(statusFile) {
+  return `${statusFile}.pid`;
+}
+
+// The wrapper runs detached on the builder and records every step in the
+// status file as a single JSON line, so the client never has to guess from
+// process listings or leftover artifacts whether the build worked.
+function renderBuildWrapper(options) {
+  const {
+    envFile,
+    statusFile,
+    projectDir,
+    outputFile,
+    artifactCandidates = [],
+    steps
+  } = options;
+
+  const candidates = [outputFile, ...artifactCandidates.filter((candidate) => candidate !== outputFile)];
+
+  return [
+    "#!/usr/bin/env bash",
+    `source ${quoteShellArg(envFile)}`,
+    `STATUS_FILE=${quoteShellArg(statusFile)}`,
+    `OUTPUT_FILE=${quoteShellArg(outputFile)}`,
+    'STARTED_AT="$(date +%s)"',
+    "CURRENT_STEP=prepare",
+    'ARTIFACT=""',
+    "",
+    "write_status() {",
+    '  printf \'{"phase":"%s","step":"%s","exitCode":%s,"startedAt":%s,"finishedAt":%s,"artifact":"%s"}\\n\' \\',
+    '    "$1" "$CURRENT_STEP" "$2" "$STARTED_AT" "${3:-null}" "$ARTIFACT" > "$STATUS_FILE.tmp"',
+    '  mv "$STATUS_FILE.tmp" "$STATUS_FILE"',
+    "}",
+    "",
+    "run_step() {",
+    '  CURRENT_STEP="$1"',
+    "  shift",
+    '  echo "==> [htzbuild] $CURRENT_STEP"',
+    "  write_status running null",
+    // errexit makes any failing command fail the step, not just the last one.
+    '  ( set -e; "$@" )',
+    "  local exit_code=$?",
+    '  if [ "$exit_code" -ne 0 ]; then',
+    '    echo "==> [htzbuild] $CURRENT_STEP failed with exit code $exit_code"',
+    '    write_status failed "$exit_code" "$(date +%s)"',
+    '    exit "$exit_code"',
+    "  fi",
+    "}",
+    "",
+    "trap 'write_status failed 143 \"$(date +%s)\"; exit 143' TERM INT",
+    "",
+    ...steps.flatMap((step) => [`step_${step.name}() {`, ...step.commands.map((command) => `  ${command}`), "}", ""]),
+    `cd ${quoteShellArg(projectDir)} || { write_status failed 1 "$(date +%s)"; exit 1; }`,
+    'echo "EXPO_TOKEN in build environment: $([ -n "$EXPO_TOKEN" ] && echo SET || echo "NOT SET")"',
+    'echo "PROFILE in build environment: $PROFILE"',
+    ...steps.map((step) => `run_step ${step.name} step_${step.name}`),
+    "",
+    "CURRENT_STEP=artifact",
+    `for candidate in ${candidates.map((candidate) => quoteShellArg(candidate)).join(" ")}; do`,
+    '  if [ -f "$candidate" ]; then',
+    '    ARTIFACT="$candidate"',
+    "    break",
+    "  fi",
+    "done",
+    'if [ -z "$ARTIFACT" ]; then',
+    '  echo "==> [htzbuild] build finished but no artifact was found"',
+    '  write_status failed 1 "$(date +%s)"',
+    "  exit 1",
+    "fi",
+    "CURRENT_STEP=done",
+    'write_status succeeded 0 "$(date +%s)"'
+  ].join("\n");
+}
+
+// setsid makes the wrapper the leader of its own process group, so stopping
+// the build reaches every process it started, whatever the build runs.
+function buildLaunchCommands(scriptPath, logPath, statusFile) {
+  return [
+    `nohup setsid bash ${quoteShellArg(scriptPath)} > ${quoteShellArg(logPath)} 2>&1 < /dev/null &`,
+    `echo $! > ${quoteShellArg(pidFileFor(statusFile))}`
+  ];
+}
+
+function buildStopCommand(statusFile) {
+  const pidArg = quoteShellArg(pidFileFor(statusFile));
+  return `pgid="$(cat ${pidArg} 2>/dev/null)"; if [ -n "$pgid" ]; then kill -TERM -- "-$pgid" 2>/dev/null || true; fi`;
+}
+
+// One SSH round trip per poll: the status line followed by the liveness of
+// the wrapper process (its PID is written when it is launched).
+function buildStatusPollCommand(statusFile) {
+  const statusArg = quoteShellArg(statusFile);
+  const pidArg = quoteShellArg(pidFileFor(statusFile));
+  return [
+    `cat ${statusArg} 2>/dev/null`,
+    "echo",
+    `if kill -0 "$(cat ${pidArg} 2>/dev/null)" 2>/dev/null; then echo alive; else echo dead; fi`
+  ].join("; ");
+}
+
+function parseBuildStatusPoll(output) {
+  const lines = String(output || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const alive = lines[lines.length - 1] === "alive";
+  const statusLine = lines.find((line) => line.startsWith("{"));
+  let status = null;
+
+  if (statusLine) {
+    try {
+      status = JSON.parse(statusLine);
+    } catch {
+      status = null;
+    }
+  }
+
+  return { status, alive };
+}
+
+module.exports = {
+  BUILD_PHASES,
+  pidFileFor,
+  renderBuildWrapper,
+  buildLaunchCommands,
+  buildStopCommand,
+  buildStatusPollCommand,
+  parseBuildStatusPoll
+};
@@ -0,0 +1,127 @@
+const { DEFAULT_CONFIG } = require("./configLoader");
+const { quoteShellArg } = require("./shell");
+const { logInfo, logSuccess, logWarn } = require("./logger");
+
+const CACHE_LABEL = "htzbuild-cache";
+const CACHE_LABEL_VALUE = "true";
+
+function resolveCacheSettings(config) {
+  const cache = (config && config.cache) || {};
+  return { ...DEFAULT_CONFIG.cache, ...cache };
+}
+
+function volumeNameFor(settings, location) {
+  return settings.volumeName.replace(/\${LOCATION}/g, location);
+}
+
+function listCacheVolumes(client) {
+  return client.listVolumes({ [CACHE_LABEL]: CACHE_LABEL_VALUE });
+}
+
+// Volumes are pinned to the location they were created in, so the default name
+// gives every location its own cache volume. A volume that lives elsewhere or
+// is still attached to another builder cannot be used for this build.
+async function ensureCacheVolume(client, settings, location) {
+  const name = volumeNameFor(settings, location);
+  const [existing] = await client.listVolumes(null, { name });
+
+  if (!existing) {
+    logInfo(`Creating ${settings.sizeGb} GB cache volume ${name} in ${location}...`);
+    const volume = await client.createVolume({
+      name,
+      size: settings.sizeGb,
+      location,
+      format: "ext4",
+      labels: { [CACHE_LABEL]: CACHE_LABEL_VALUE }
+    });
+    logSuccess(`Cache volume created: ${name} (ID: ${volume.id})`);
+    return volume;
+  }
+
+  if (existing.location && existing.location.name !== location) {
+    logWarn(
+      `Cache volume ${name} lives in ${existing.location.name} but this build runs in ${location}; building without cache.`
+    );
+    return null;
+  }
+
+  return existing;
+}
+
+function cacheMountScript(volume, settings, { remoteProjectDir, projectName }) {
+  const mountPath = quoteShellArg(settings.mountPath);
+  const device = quoteShellArg(volume.linux_device);
+  const lines = [
+    `mkdir -p ${mountPath}`,
+    `mountpoint -q ${mountPath} || mount -o discard,defaults ${device} ${mountPath}`,
+    `mkdir -p ${mountPath}/npm ${mountPath}/gradle`,
+    `if [ ! -L /root/.gradle ]; then rm -rf /root/.gradle; ln -s ${mountPath}/gradle /root/.gradle; fi`,
+    `if [ ! -L /root/.npm ]; then rm -rf /root/.npm; ln -s ${mountPath}/npm /root/.npm; fi`
+  ];
+
+  if (settings.nodeModules) {
+    // A bind mount (not a symlink) so .gitignore rules for node_modules/ still apply.
+    const cachedModules = quoteShellArg(`${settings.mountPath}/node_modules/${projectName}`);
+    const projectModules = quoteShellArg(`${remoteProjectDir.replace(/\/$/, "")}/node_modules`);
+    lines.push(
+      `mkdir -p ${cachedModules} ${projectModules}`,
+      `mountpoint -q ${projectModules} || mount --bind ${cachedModules} ${projectModules}`
+    );
+  }
+
+  return lines.join(" && ");
+}
+
+function cacheEnvScript(settings) {
+  return [
+    `export npm_config_cache=${settings.mountPath}/npm`,
+    `export GRADLE_USER_HOME=${settings.mountPath}/gradle`
+  ];
+}
+
+function cacheUnmountScript(settings, remoteProjectDir) {
+  const projectModules = quoteShellArg(`${remoteProjectDir.replace(/\/$/, "")}/node_modules`);
+  return [
+    "sync",
+    `umount ${projectModules} >/dev/null 2>&1 || true`,
+    `umount ${quoteShellArg(settings.mountPath)} >/dev/null 2>&1 || true`
+  ].join("; ");
+}
+
+async function clearCacheVolumes(client, options = {}) {
+  const { location = null } = options;
+  const volumes = await listCacheVolumes(client);
+  const deleted = [];
+
+  for (const volume of volumes) {
+    if (location && volume.location && volume.location.name !== location) {
+      continue;
+    }
+    if (volume.server) {
+      logWarn(`Skipping ${volume.name}: still attached to server ${volume.server}`);
+      continue;
+    }
+
+    try {
+      await client.deleteVolume(volume.id);
+      logSuccess(`Deleted cache volume ${volume.name} (ID: ${volume.id})`);
+      deleted.push(volume);
+    } catch (error) {
+      logWarn(`Failed to delete ${volume.name}: ${error.message}`);
+    }
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  CACHE_LABEL,
+  resolveCacheSettings,
+  volumeNameFor,
+  listCacheVolumes,
+  ensureCacheVolume,
+  cacheMountScript,
+  cacheEnvScript,
+  cacheUnmountScript,
+  clearCacheVolumes
+};
@@ -1,4 +1,5 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const { loadEnvFromPath } = require("./envLoader");
 const {
@@ -9,8 +10,61 @@ const {
   writeCredentials
 } = require("./configLoader");
 const { RemoteBuilder } = require("./remoteBuilder");
-const { logInfo, logError } = require("./logger");
+const { logInfo, logSuccess, logError, redact, registerSecrets, setJsonMode } = require("./logger");
+const { collectSecretValues, resolveBuildEnvSettings } = require("./buildEnv");
+const { HcloudClient } = require("./hcloudClient");
 const { handleInitCommand } = require("./init");
+const {
+  CLOUD_INIT_HASH_LABEL,
+  bakeImage,
+  hashCloudInitFile,
+  listBuilderSnapshots,
+  pruneSnapshots
+} = require("./images");
+const {
+  POOL_STATE_LABEL,
+  destroyPooledServers,
+  idleDeadline,
+  isExpired,
+  listPooledServers
+} = require("./pool");
+const {
+  DEFAULT_MAX_AGE,
+  collectGarbage,
+  collectOrphanedSshKeys,
+  parseDuration
+} = require("./gc");
+const { deleteUnusedFirewalls } = require("./firewall");
+const { ipv6HostAddress } = require("./network");
+const { resolveWorkspaceSettings } = require("./workspace");
+const {
+  buildMatrixChildArgs,
+  matrixExitCode,
+  resolveMatrixProfiles,
+  runMatrix,
+  writeRunResult
+} = require("./matrix");
+const { formatDuration } = require("./format");
+const { clearCacheVolumes, listCacheVolumes, resolveCacheSettings } = require("./cache");
+const {
+  attachDetachedBuild,
+  cancelDetachedBuild,
+  fetchDetachedBuild,
+  findDetachedBuild,
+  loadDetachedBuilds,
+  resolveDetachedDir,
+  showDetachedStatus
+} = require("./detached");
+const { sweepClientKeys } = require("./sshKeys");
+const {
+  HISTORY_RESULTS,
+  filterHistory,
+  findHistoryRecord,
+  historyToCsv,
+  loadHistory,
+  resolveHistoryPath
+} = require("./history");
+const { formatCost } = require("./pricing");
 
 // ... (keep usage help separate if needed, but integration is key)
 
@@ -23,18 +77,156 @@ runs \`eas build --local\`, and pulls the artifact into a local \`build-output\`
 
 Options:
   -p, --profile <name>      Override the build profile (default: preview)
+  --profiles <a,b,...>      Build several profiles in parallel, each on its own server
   -e, --env-folder <path>   Point to a directory full of env files (default: .env)
   -c, --config <path>       Use a custom htzbuild config (default: htzbuild.config.json)
   --dry-run                 Simulate the build without creating a server
   --keep-alive-on-error     Do not delete the server if the build fails
+  --reuse                   Reuse a warm pooled server and keep it running after the build
+  --ephemeral-key           Use a throwaway SSH key for this build and delete it afterwards
+  --detach                  Start the build and exit; collect it later with status/attach/fetch
+  --max-cost <amount>       Refuse to start, or stop the build, when it would cost more than this
+  --json                    Print progress as NDJSON events on stdout (logs go to stderr)
   -h, --help                Show this help message
 
 Subcommands:
   init                      Initialize a new project with config and .env templates
   config                    Manage saved Hetzner credentials
+  image                     Bake, list and prune pre-provisioned builder snapshots
+  servers                   List or destroy warm pooled builder servers
+  gc                        Delete orphaned builder servers left behind by crashed runs
+  status [build]            Show the progress of detached builds
+  attach [build]            Stream the log of a detached build until it finishes
+  fetch [build]             Download a detached build's artifact and delete its server
+  cancel [build]            Stop a detached build and delete its server
+  cache                     Inspect or clear the persistent build cache volumes
+  history                   List, inspect and export past builds
 `);
 }
 
+function printCacheHelp() {
+  console.log(`
+Usage: htzbuild cache <info|clear> [options]
+
+Commands:
+  info                      Show the cache settings and the cache volume of every location
+  clear                     Delete detached cache volumes; the next build starts with an empty cache
+
+Options:
+  -e, --env-folder <path>   Point to a directory full of env files (default: .env)
+  -c, --config <path>       Use a custom htzbuild config (default: htzbuild.config.json)
+  --location <name>         Only clear the cache volume in this location
+  -h, --help                Show this help message
+
+Enable the cache with "cache": { "enabled": true } in htzbuild.config.json.
+`);
+}
+
+function printDetachedHelp(command) {
+  const descriptions = {
+    status: "Show the progress of a detached build (or all of them with --all)",
+    attach: "Stream the log of a detached build until it finishes",
+    fetch: "Download the artifact of a finished detached build and delete its server",
+    cancel: "Stop a detached build and delete its server"
+  };
+
+  console.log(`
+Usage: htzbuild ${command} [build] [options]
+
+${descriptions[command]}.
+[build] is the name printed by 'htzbuild --detach'; defaults to the latest detached build of this project.
+
+Options:
+  -e, --env-folder <path>   Point to a directory full of env files (default: .env)
+  -c, --config <path>       Use a custom htzbuild config (default: htzbuild.config.json)${
+    command === "status" ? "\n  --all                     List detached builds of every project" : ""
+  }
+  -h, --help                Show this help message
+`);
+}
+
+function printGcHelp() {
+  console.log(`
+Usage: htzbuild gc [options]
+
+Deletes builder servers (labelled by htzbuild) that are older than the maximum age,
+plus pooled servers whose idle deadline has passed, throwaway SSH keys left
+behind by --ephemeral-key runs and builder firewalls no longer attached to a server.
+
+Options:
+  -e, --env-folder <path>   Point to a directory full of env files (default: .env)
+  -c, --config <path>       Use a custom htzbuild config (default: htzbuild.config.json)
+  --max-age <duration>      Minimum age of servers to delete, e.g. 90m, 3h, 2d (default: gc.maxAge or ${DEFAULT_MAX_AGE})
+  --dry-run                 List the servers that would be deleted
+  -h, --help                Show this help message
+`);
+}
+
+function printServersHelp() {
+  console.log(`
+Usage: htzbuild servers <list|destroy> [options] [server...]
+
+Commands:
+  list                      List pooled builder servers and their idle deadlines
+  destroy [server...]       Delete idle pooled servers, or the given server names/IDs
+
+Options:
+  -e, --env-folder <path>   Point to a directory full of env files (default: .env)
+  -c, --config <path>       Use a custom htzbuild config (default: htzbuild.config.json)
+  --all                     Also destroy pooled servers that are currently building
+  -h, --help                Show this help message
+`);
+}
+
+function printImageHelp() {
+  console.log(`
+Usage: htzbuild image <bake|list|prune> [options]
+
+Commands:
+  bake                      Provision a server with the cloud-init file and snapshot it
+  list                      List builder snapshots and whether they match the current cloud-init file
+  prune                     Delete outdated builder snapshots
+
+Options:
+  -e, --env-folder <path>   Point to a directory full of env files (default: .env)
+  -c, --config <path>       Use a custom htzbuild config (default: htzbuild.config.json)
+  --keep <count>            Snapshots matching the current cloud-init file to keep when pruning (default: 1)
+  --dry-run                 Show what would happen without creating or deleting anything
+  -h, --help                Show this help message
+
+Builds automatically use the newest snapshot whose cloud-init hash matches the current file.
+`);
+}
+
+function printHistoryHelp() {
+  console.log(`
+Usage: htzbuild history [list|show <id>|export] [options]
+
+Every build appends a record to ${resolveHistoryPath()}.
+
+Commands:
+  list                      Show recent builds, newest first (default)
+  show <id>                 Show every recorded detail of one build
+  export                    Print the matching builds as JSON or CSV
+
+Options:
+  --profile <name>          Only builds of this profile
+  --result <result>         Only builds with this result (${HISTORY_RESULTS.join(", ")})
+  --limit <n>               Show at most n builds (default: 20 for list, all for export)
+  --format <json|csv>       Export format (default: json)
+  -o, --output <file>       Write the export to a file instead of stdout
+  -h, --help                Show this help message
+`);
+}
+
+function readOptionValue(args, index, label) {
+  const value = args[index + 1];
+  if (value && !value.startsWith("-")) {
+    return value;
+  }
+  throw new Error(`Missing ${label} after ${args[index]}`);
+}
+
 
 function printConfigHelp() {
   console.log(`
@@ -175,12 +367,649 @@ async function handleConfigCommand(args) {
   logInfo("Subsequent runs will use these credentials instead of the .env folder.");
 }
 
+function parseImageCommandArgs(args) {
+  const options = {
+    help: false,
+    action: null,
+    envFolder: ".env",
+    configFile: undefined,
+    dryRun: false,
+    keep: 1
+  };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+      continue;
+    }
+
+    if (arg === "--env-folder" || arg === "-e") {
+      options.envFolder = readOptionValue(args, index, "env folder");
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--config" || arg === "-c") {
+      options.configFile = readOptionValue(args, index, "config file");
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--keep") {
+      options.keep = Number(readOptionValue(args, index, "snapshot count"));
+      if (!Number.isInteger(options.keep) || options.keep < 0) {
+        throw new Error("--keep must be a non-negative integer");
+      }
+      index += 1;
+      continue;
+    }
+
+    if (!options.action && !arg.startsWith("-")) {
+      options.action = arg;
+      continue;
+    }
+
+    throw new Error(`Unknown image option: ${arg}`);
+  }
+
+  return options;
+}
+
+async function handleImageCommand(args) {
+  const options = parseImageCommandArgs(args);
+  if (options.help || !options.action) {
+    printImageHelp();
+    return;
+  }
+
+  if (!["bake", "list", "prune"].includes(options.action)) {
+    throw new Error(`Unknown image command: ${options.action}`);
+  }
+
+  const { config, env } = loadRunEnvironment(options.envFolder, options.configFile);
+  const builder = new RemoteBuilder("bake", env, config, {
+    dryRun: options.dryRun,
+    useSnapshots: false
+  });
+
+  if (options.action === "bake") {
+    await bakeImage(builder);
+    return;
+  }
+
+  const cloudInitHash = hashCloudInitFile(builder.cloudInitFile);
+
+  if (options.action === "list") {
+    const snapshots = await listBuilderSnapshots(builder.hcloud);
+    if (!snapshots.length) {
+      logInfo("No builder snapshots found. Run 'htzbuild image bake' to create one.");
+      return;
+    }
+
+    logInfo(`Current cloud-init hash: ${cloudInitHash}`);
+    snapshots.forEach((image) => {
+      const imageHash = image.labels ? image.labels[CLOUD_INIT_HASH_LABEL] : "";
+      const marker = imageHash === cloudInitHash ? "*" : " ";
+      const size = image.image_size ? `${image.image_size.toFixed(1)} GB` : "-";
+      console.log(
+        `${marker} ${String(image.id).padEnd(10)} ${image.created.padEnd(26)} ${String(imageHash).padEnd(17)} ${size.padEnd(8)} ${image.status}`
+      );
+    });
+    return;
+  }
+
+  const removed = await pruneSnapshots(builder.hcloud, cloudInitHash, {
+    keep: options.keep,
+    dryRun: options.dryRun
+  });
+  logInfo(`${options.dryRun ? "Would delete" : "Deleted"} ${removed.length} snapshot(s).`);
+}
+
+function parseServersCommandArgs(args) {
+  const options = {
+    help: false,
+    action: null,
+    envFolder: ".env",
+    configFile: undefined,
+    all: false,
+    ids: []
+  };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === "--all") {
+      options.all = true;
+      continue;
+    }
+
+    if (arg === "--env-folder" || arg === "-e") {
+      options.envFolder = readOptionValue(args, index, "env folder");
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--config" || arg === "-c") {
+      options.configFile = readOptionValue(args, index, "config file");
+      index += 1;
+      continue;
+    }
+
+    if (arg.startsWith("-")) {
+      throw new Error(`Unknown servers option: ${arg}`);
+    }
+
+    if (!options.action) {
+      options.action = arg;
+    } else {
+      options.ids.push(arg);
+    }
+  }
+
+  return options;
+}
+
+async function handleServersCommand(args) {
+  const options = parseServersCommandArgs(args);
+  if (options.help || !options.action) {
+    printServersHelp();
+    return;
+  }
+
+  if (!["list", "destroy"].includes(options.action)) {
+    throw new Error(`Unknown servers command: ${options.action}`);
+  }
+
+  const { env } = loadRunEnvironment(options.envFolder, options.configFile);
+  const client = HcloudClient.fromEnv(env);
+
+  if (options.action === "destroy") {
+    const destroyed = await destroyPooledServers(client, {
+      all: options.all,
+      ids: options.ids
+    });
+    logInfo(`Destroyed ${destroyed.length} pooled server(s).`);
+    return;
+  }
+
+  const servers = await listPooledServers(client);
+  if (!servers.length) {
+    logInfo("No pooled builder servers found.");
+    return;
+  }
+
+  servers.forEach((server) => {
+    const state = isExpired(server) ? "expired" : server.labels[POOL_STATE_LABEL] || "-";
+    const deadline = idleDeadline(server);
+    const publicNet = server.public_net || {};
+    const ip =
+      (publicNet.ipv4 && publicNet.ipv4.ip) ||
+      ipv6HostAddress(publicNet.ipv6 && publicNet.ipv6.ip) ||
+      "-";
+    console.log(
+      `${String(server.id).padEnd(10)} ${server.name.padEnd(28)} ${server.server_type.name.padEnd(8)} ${server.datacenter.location.name.padEnd(6)} ${ip.padEnd(16)} ${state.padEnd(8)} ${deadline ? `idle until ${new Date(deadline).toISOString()}` : ""}`
+    );
+  });
+}
+
+function parseGcCommandArgs(args) {
+  const options = {
+    help: false,
+    envFolder: ".env",
+    configFile: undefined,
+    maxAge: null,
+    dryRun: false
+  };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+      continue;
+    }
+
+    if (arg === "--env-folder" || arg === "-e") {
+      options.envFolder = readOptionValue(args, index, "env folder");
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--config" || arg === "-c") {
+      options.configFile = readOptionValue(args, index, "config file");
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--max-age") {
+      options.maxAge = readOptionValue(args, index, "duration");
+      index += 1;
+      continue;
+    }
+
+    throw new Error(`Unknown gc option: ${arg}`);
+  }
+
+  return options;
+}
+
+async function handleGcCommand(args) {
+  const options = parseGcCommandArgs(args);
+  if (options.help) {
+    printGcHelp();
+    return;
+  }
+
+  const { config, env } = loadRunEnvironment(options.envFolder, options.configFile);
+  const maxAge = options.maxAge || (config.gc && config.gc.maxAge) || DEFAULT_MAX_AGE;
+  const client = HcloudClient.fromEnv(env);
+  const gcOptions = { maxAgeMs: parseDuration(maxAge), dryRun: options.dryRun };
+  const { orphans, deleted } = await collectGarbage(client, gcOptions);
+  const sshKeys = await collectOrphanedSshKeys(client, gcOptions);
+  const firewalls = await deleteUnusedFirewalls(client, gcOptions);
+  const detachedKeyDirs = loadDetachedBuilds()
+    .map((build) => build.ephemeralKey && build.ephemeralKey.dir)
+    .filter(Boolean);
+  const keyDirs = [os.tmpdir(), resolveDetachedDir()].flatMap((dir) =>
+    sweepClientKeys(dir, { ...gcOptions, keep: detachedKeyDirs })
+  );
+
+  if (!orphans.length) {
+    logInfo(`No builder servers older than ${maxAge} found.`);
+  } else if (options.dryRun) {
+    logInfo(`${orphans.length} server(s) would be deleted.`);
+  } else {
+    logInfo(`Deleted ${deleted.length} of ${orphans.length} orphaned server(s).`);
+  }
+
+  if (sshKeys.orphans.length && options.dryRun) {
+    logInfo(`${sshKeys.orphans.length} SSH key(s) would be deleted.`);
+  } else if (sshKeys.orphans.length) {
+    logInfo(`Deleted ${sshKeys.deleted.length} of ${sshKeys.orphans.length} orphaned SSH key(s).`);
+  }
+
+  if (keyDirs.length) {
+    logInfo(
+      `${options.dryRun ? "Would remove" : "Removed"} ${keyDirs.length} leftover local SSH key director${keyDirs.length === 1 ? "y" : "ies"}.`
+    );
+  }
+
+  if (firewalls.unused.length && options.dryRun) {
+    logInfo(`${firewalls.unused.length} unused firewall(s) would be deleted.`);
+  } else if (firewalls.unused.length) {
+    logInfo(`Deleted ${firewalls.deleted.length} of ${firewalls.unused.length} unused firewall(s).`);
+  }
+}
+
+function parseDetachedCommandArgs(command, args) {
+  const options = {
+    help: false,
+    id: null,
+    envFolder: ".env",
+    configFile: undefined,
+    all: false
+  };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === "--all" && command === "status") {
+      options.all = true;
+      continue;
+    }
+
+    if (arg === "--env-folder" || arg === "-e") {
+      options.envFolder = readOptionValue(args, index, "env folder");
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--config" || arg === "-c") {
+      options.configFile = readOptionValue(args, index, "config file");
+      index += 1;
+      continue;
+    }
+
+    if (!options.id && !arg.startsWith("-")) {
+      options.id = arg;
+      continue;
+    }
+
+    throw new Error(`Unknown ${command} option: ${arg}`);
+  }
+
+  return options;
+}
+
+async function handleDetachedCommand(command, args) {
+  const options = parseDetachedCommandArgs(command, args);
+  if (options.help) {
+    printDetachedHelp(command);
+    return;
+  }
+
+  if (command === "status" && options.all) {
+    const builds = loadDetachedBuilds();
+    if (!builds.length) {
+      logInfo("No detached builds.");
+      return;
+    }
+    builds.forEach((build) => {
+      console.log(
+        `${build.id.padEnd(28)} ${build.profile.padEnd(12)} ${new Date(build.startedAt).toISOString()}  ${build.projectDir}`
+      );
+    });
+    return;
+  }
+
+  const { config, env } = loadRunEnvironment(options.envFolder, options.configFile);
+  // Builds are recorded under the app directory, which in a monorepo is not
+  // necessarily the directory the command runs in.
+  const state = findDetachedBuild(options.id, resolveWorkspaceSettings(config).appPath);
+  const builder = new RemoteBuilder(state.profile, env, config, { reuse: state.reuse });
+  builder.restoreDetachedState(state);
+
+  if (command === "status") {
+    showDetachedStatus(builder, state);
+    return;
+  }
+
+  if (command === "attach") {
+    await attachDetachedBuild(builder, state);
+    return;
+  }
+
+  if (command === "fetch") {
+    const artifactPath = await fetchDetachedBuild(builder, state);
+    logSuccess("Build complete!");
+    if (artifactPath) {
+      logInfo(`Artifact location: ${artifactPath}`);
+    }
+    return;
+  }
+
+  await cancelDetachedBuild(builder, state);
+}
+
+function parseHistoryCommandArgs(args) {
+  const options = {
+    help: false,
+    action: null,
+    id: null,
+    profile: null,
+    result: null,
+    limit: null,
+    format: "json",
+    output: null
+  };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === "--profile" || arg === "-p") {
+      options.profile = readOptionValue(args, index, "profile");
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--result") {
+      options.result = readOptionValue(args, index, "result");
+      if (!HISTORY_RESULTS.includes(options.result)) {
+        throw new Error(`--result must be one of: ${HISTORY_RESULTS.join(", ")}`);
+      }
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--limit") {
+      options.limit = Number(readOptionValue(args, index, "limit"));
+      if (!Number.isInteger(options.limit) || options.limit < 1) {
+        throw new Error("--limit must be a positive integer");
+      }
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--format") {
+      options.format = readOptionValue(args, index, "format");
+      if (!["json", "csv"].includes(options.format)) {
+        throw new Error("--format must be json or csv");
+      }
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--output" || arg === "-o") {
+      options.output = readOptionValue(args, index, "output file");
+      index += 1;
+      continue;
+    }
+
+    if (!options.action && !arg.startsWith("-")) {
+      options.action = arg;
+      continue;
+    }
+
+    if (options.action === "show" && !options.id && !arg.startsWith("-")) {
+      options.id = arg;
+      continue;
+    }
+
+    throw new Error(`Unknown history option: ${arg}`);
+  }
+
+  return options;
+}
+
+function formatRecordCost(cost) {
+  return cost ? formatCost(cost.amount, cost.currency) : "-";
+}
+
+function printHistoryRecord(record) {
+  const rows = [
+    ["Build", record.id],
+    ["Profile", record.profile],
+    ["Project", `${record.project} (${record.projectDir})`],
+    ["Commit", record.gitCommit ? `${record.gitCommit}${record.gitDirty ? " (dirty)" : ""}` : "-"],
+    ["Server", `${record.serverType} @ ${record.location}${record.serverId ? ` (ID: ${record.serverId})` : ""}${record.reused ? ", reused" : ""}`],
+    ["Started", record.startedAt],
+    ["Finished", record.finishedAt],
+    ["Result", `${record.result}${record.dryRun ? " (dry run)" : ""}`],
+    ["Duration", formatDuration(record.durationMs)],
+    ["Cost", formatRecordCost(record.estimatedCost)],
+    ["Artifact", record.artifactPath || "-"],
+    ["Upload", record.upload || "-"],
+    ["SHA-256", record.sha256 || "-"]
+  ];
+  if (record.result === "failed") {
+    rows.push(["Failed in", `${record.failedPhase || "-"} (exit code ${record.exitCode})`]);
+    rows.push(["Error", record.error || "-"]);
+  }
+  Object.entries(record.phases || {}).forEach(([phase, durationMs]) => {
+    rows.push([`  ${phase}`, formatDuration(durationMs)]);
+  });
+
+  rows.forEach(([label, value]) => console.log(`${`${label}:`.padEnd(16)} ${value}`));
+}
+
+async function handleHistoryCommand(args) {
+  const options = parseHistoryCommandArgs(args);
+  const action = options.action || "list";
+  if (options.help) {
+    printHistoryHelp();
+    return;
+  }
+
+  if (!["list", "show", "export"].includes(action)) {
+    throw new Error(`Unknown history command: ${action}`);
+  }
+
+  const records = loadHistory();
+
+  if (action === "show") {
+    if (!options.id) {
+      throw new Error("Usage: htzbuild history show <id>");
+    }
+    printHistoryRecord(findHistoryRecord(records, options.id));
+    return;
+  }
+
+  const matches = filterHistory(records, {
+    profile: options.profile,
+    result: options.result,
+    limit: options.limit || (action === "list" ? 20 : null)
+  });
+
+  if (action === "export") {
+    const output =
+      options.format === "csv" ? historyToCsv(matches) : `${JSON.stringify(matches, null, 2)}\n`;
+    if (options.output) {
+      fs.writeFileSync(options.output, output, "utf8");
+      logSuccess(`Exported ${matches.length} build(s) to ${options.output}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+
+  if (!matches.length) {
+    logInfo("No builds recorded yet.");
+    return;
+  }
+
+  matches.forEach((record) => {
+    const commit = record.gitCommit ? record.gitCommit.slice(0, 8) : "-";
+    console.log(
+      `${record.id.padEnd(9)} ${record.startedAt.slice(0, 19).replace("T", " ")}  ${record.profile.padEnd(12)} ${record.result.padEnd(10)} ${formatDuration(record.durationMs).padEnd(8)} ${formatRecordCost(record.estimatedCost).padEnd(10)} ${commit.padEnd(8)} ${record.artifactPath || record.upload || record.error || "-"}`
+    );
+  });
+}
+
+function parseCacheCommandArgs(args) {
+  const options = {
+    help: false,
+    action: null,
+    envFolder: ".env",
+    configFile: undefined,
+    location: null
+  };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === "--env-folder" || arg === "-e") {
+      options.envFolder = readOptionValue(args, index, "env folder");
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--config" || arg === "-c") {
+      options.configFile = readOptionValue(args, index, "config file");
+      index += 1;
+      continue;
+    }
+
+    if (arg === "--location") {
+      options.location = readOptionValue(args, index, "location");
+      index += 1;
+      continue;
+    }
+
+    if (!options.action && !arg.startsWith("-")) {
+      options.action = arg;
+      continue;
+    }
+
+    throw new Error(`Unknown cache option: ${arg}`);
+  }
+
+  return options;
+}
+
+async function handleCacheCommand(args) {
+  const options = parseCacheCommandArgs(args);
+  if (options.help || !options.action) {
+    printCacheHelp();
+    return;
+  }
+
+  if (!["info", "clear"].includes(options.action)) {
+    throw new Error(`Unknown cache command: ${options.action}`);
+  }
+
+  const { config, env } = loadRunEnvironment(options.envFolder, options.configFile);
+  const client = HcloudClient.fromEnv(env);
+
+  if (options.action === "clear") {
+    const deleted = await clearCacheVolumes(client, { location: options.location });
+    logInfo(`Deleted ${deleted.length} cache volume(s).`);
+    return;
+  }
+
+  const settings = resolveCacheSettings(config);
+  logInfo(`Cache:        ${settings.enabled ? "enabled" : "disabled"}`);
+  logInfo(`Volume name:  ${settings.volumeName} (${settings.sizeGb} GB)`);
+  logInfo(`Mount path:   ${settings.mountPath}`);
+  logInfo(`node_modules: ${settings.nodeModules ? "cached" : "not cached"}`);
+
+  const volumes = await listCacheVolumes(client);
+  if (!volumes.length) {
+    logInfo("No cache volumes exist yet.");
+    return;
+  }
+
+  volumes.forEach((volume) => {
+    const attachment = volume.server ? `attached to server ${volume.server}` : "detached";
+    console.log(
+      `${String(volume.id).padEnd(10)} ${volume.name.padEnd(28)} ${volume.location.name.padEnd(6)} ${`${volume.size} GB`.padEnd(7)} ${volume.created}  ${attachment}`
+    );
+  });
+}
+
 function parseRunArgs(args) {
   let profile = "preview";
   let envFolder = ".env";
   let configFile;
   let dryRun = false;
   let keepAliveOnError = false;
+  let reuse = false;
+  let ephemeralKey = false;
+  let detach = false;
+  let json = false;
+  let maxCost = null;
+  let profiles = null;
   let usedProfile = false;
 
   for (let index = 0; index < args.length; index += 1) {
@@ -201,6 +1030,35 @@ function parseRunArgs(args) {
       continue;
     }
 
+    if (arg === "--reuse") {
+      reuse = true;
+      continue;
+    }
+
+    if (arg === "--ephemeral-key") {
+      ephemeralKey = true;
+      continue;
+    }
+
+    if (arg === "--detach") {
+      detach = true;
+      continue;
+    }
+
+    if (arg === "--json") {
+      json = true;
+      continue;
+    }
+
+    if (arg === "--max-cost") {
+      maxCost = Number(readOptionValue(args, index, "amount"));
+      if (!(maxCost > 0)) {
+        throw new Error("--max-cost must be a positive number");
+      }
+      index += 1;
+      continue;
+    }
+
     if (arg === "--profile" || arg === "-p") {
       const value = args[index + 1];
       if (value && !value.startsWith("-")) {
@@ -212,6 +1070,12 @@ function parseRunArgs(args) {
       throw new Error(`Missing profile after ${arg}`);
     }
 
+    if (arg === "--profiles") {
+      profiles = readOptionValue(args, index, "profile list");
+      index += 1;
+      continue;
+    }
+
     // ... (rest of parsing logic, env-folder, config)
 
     if (arg === "--env-folder" || arg === "-e") {
@@ -240,25 +1104,23 @@ function parseRunArgs(args) {
     }
   }
 
-  return { profile, envFolder, configFile, dryRun, keepAliveOnError };
+  return {
+    profile,
+    profiles,
+    usedProfile,
+    envFolder,
+    configFile,
+    dryRun,
+    keepAliveOnError,
+    reuse,
+    ephemeralKey,
+    detach,
+    json,
+    maxCost
+  };
 }
 
-// ... 
-
-async function runCli(argv) {
-  const args = argv.slice(2);
-
-  if (args[0] === "init") {
-    await handleInitCommand();
-    return;
-  }
-
-  if (args[0] === "config") {
-    await handleConfigCommand(args.slice(1));
-    return;
-  }
-
-  const { profile, envFolder, configFile, dryRun, keepAliveOnError } = parseRunArgs(args);
+function loadRunEnvironment(envFolder, configFile) {
   const config = loadConfig(process.cwd(), configFile);
 
   // ... (env loading logic)
@@ -299,18 +1161,102 @@ async function runCli(argv) {
     });
   }
 
+  registerSecrets(
+    collectSecretValues(builderEnv, config, resolveBuildEnvSettings(config, null))
+  );
+
+  return { config, env: builderEnv };
+}
+
+// ... 
+
+async function runCli(argv) {
+  const args = argv.slice(2);
+
+  if (args[0] === "init") {
+    await handleInitCommand();
+    return;
+  }
+
+  if (args[0] === "config") {
+    await handleConfigCommand(args.slice(1));
+    return;
+  }
+
+  if (args[0] === "image") {
+    await handleImageCommand(args.slice(1));
+    return;
+  }
+
+  if (args[0] === "servers") {
+    await handleServersCommand(args.slice(1));
+    return;
+  }
+
+  if (args[0] === "gc") {
+    await handleGcCommand(args.slice(1));
+    return;
+  }
+
+  if (args[0] === "cache") {
+    await handleCacheCommand(args.slice(1));
+    return;
+  }
+
+  if (args[0] === "history") {
+    await handleHistoryCommand(args.slice(1));
+    return;
+  }
+
+  if (["status", "attach", "fetch", "cancel"].includes(args[0])) {
+    await handleDetachedCommand(args[0], args.slice(1));
+    return;
+  }
+
+  const runOptions = parseRunArgs(args);
+  const { profile, envFolder, configFile, dryRun, keepAliveOnError, reuse, detach } =
+    runOptions;
+  setJsonMode(runOptions.json);
+
+  const matrixProfiles = resolveMatrixProfiles(
+    runOptions.profiles,
+    runOptions.usedProfile ? null : loadConfig(process.cwd(), configFile)
+  );
+  if (matrixProfiles.length > 1) {
+    const outcomes = await runMatrix(matrixProfiles, buildMatrixChildArgs(runOptions));
+    const exitCode = matrixExitCode(outcomes);
+    if (exitCode) {
+      process.exit(exitCode);
+    }
+    return;
+  }
+
+  const { config, env: builderEnv } = loadRunEnvironment(envFolder, configFile);
+
   // Pass flags to builder
-  const builder = new RemoteBuilder(profile, builderEnv, config, {
+  const builder = new RemoteBuilder(matrixProfiles[0] || profile, builderEnv, config, {
     dryRun,
-    keepAliveOnError
+    keepAliveOnError,
+    reuse,
+    detach,
+    ephemeralKey: runOptions.ephemeralKey,
+    maxCost: runOptions.maxCost
   });
 
   try {
-    await builder.run();
+    const result = await builder.run();
+    writeRunResult({ status: "succeeded", ...result });
   } catch (error) {
+    writeRunResult({
+      status: "failed",
+      profile: builder.profile,
+      error: redact(error.message),
+      phase: error.phase || null,
+      exitCode: error.exitCode || 1
+    });
     logError(error.message);
     // Don't throw if we handled it in logger, but runCli usually shouldn't crash process completely ungracefully
-    process.exit(1);
+    process.exit(error.exitCode || 1);
   }
 }
 module.exports = { runCli };
@@ -7,11 +7,16 @@ function isObject(value) {
 }
 
 const DEFAULT_CONFIG = {
+  syncMode: "rsync",
+  syncUntracked: false,
   syncExcludes: ["node_modules", ".expo", "android", "ios", ".git", "coverage", "build-output"],
+  workspaceRoot: null,
+  appDir: null,
   remoteProjectDir: "/root/project",
   remoteEnvFile: "/root/build-env.sh",
   remoteLogPath: "/root/build.log",
   remoteStatusFile: "/root/build-status",
+  remoteBuildScript: "/root/htzbuild-build.sh",
   artifactForProfile: {
     production: "/root/build-output.aab",
     default: "/root/build-output.apk"
@@ -22,8 +27,76 @@ const DEFAULT_CONFIG = {
     "export ANDROID_SDK_ROOT=/opt/android-sdk",
     "export PATH=$PATH:$ANDROID_HOME/cmdline-tools/latest/bin:$ANDROID_HOME/platform-tools"
   ],
+  installCommand: null,
   buildCommand: "npx eas-cli build --local --platform android --profile \"$PROFILE\" --non-interactive --output $OUTPUT_FILE",
-  image: "ubuntu-24.04"
+  image: "ubuntu-24.04",
+  useSnapshots: true,
+  pinHostKeys: true,
+  ephemeralSshKey: false,
+  pool: {
+    idleMinutes: 30
+  },
+  gc: {
+    maxAge: "3h",
+    warnOnStartup: true
+  },
+  cache: {
+    enabled: false,
+    volumeName: "htzbuild-cache-${LOCATION}",
+    sizeGb: 50,
+    mountPath: "/mnt/htzbuild-cache",
+    nodeModules: false
+  },
+  depsCache: {
+    enabled: false,
+    storage: "local",
+    localDir: null,
+    keep: 3,
+    s3: {
+      endpoint: null,
+      bucket: null,
+      prefix: "htzbuild/deps/"
+    }
+  },
+  upload: {
+    enabled: false,
+    endpoint: null,
+    bucket: null,
+    key: "${PROJECT}/${PROFILE}/${TIMESTAMP}-${GIT_SHORT_SHA}${EXT}",
+    presign: true,
+    presignHours: 24,
+    skipDownload: false
+  },
+  notifications: {
+    on: ["succeeded", "failed"],
+    logLines: 50,
+    timeoutMs: 10000,
+    webhooks: []
+  },
+  network: {
+    mode: "ipv4",
+    privateNetwork: null,
+    jumpHost: null
+  },
+  firewall: {
+    enabled: false,
+    allowedCidrs: [],
+    detectIp: true,
+    ipEchoUrl: null
+  },
+  watchdog: {
+    enabled: false,
+    graceMinutes: 15,
+    heartbeatMinutes: 15,
+    detachedHours: 24
+  },
+  pricing: {
+    currency: "EUR",
+    hourly: {}
+  },
+  budget: {
+    maxCost: null
+  }
 };
 
 function deepMerge(base, overrides) {
@@ -77,6 +150,10 @@ function loadConfig(projectDir, configFileOption) {
   return deepMerge(DEFAULT_CONFIG, parsed);
 }
 
+function resolveConfigDir() {
+  return path.join(os.homedir(), ".config", "htzbuild");
+}
+
 function resolveCredentialsPath(credentialsFileOption) {
   if (credentialsFileOption && path.isAbsolute(credentialsFileOption)) {
     return credentialsFileOption;
@@ -86,7 +163,7 @@ function resolveCredentialsPath(credentialsFileOption) {
     return path.resolve(process.cwd(), credentialsFileOption);
   }
 
-  return path.join(os.homedir(), ".config", "htzbuild", "credentials.json");
+  return path.join(resolveConfigDir(), "credentials.json");
 }
 
 function readCredentials(credentialsFileOption) {
@@ -116,6 +193,7 @@ module.exports = {
   loadConfig,
   DEFAULT_CONFIG,
   resolveConfigPath,
+  resolveConfigDir,
   resolveCredentialsPath,
   readCredentials,
   writeCredentials
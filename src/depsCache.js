@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DEFAULT_CONFIG } = require("./configLoader");
+const { quoteShellArg } = require("./shell");
+
+const DEPS_STORAGES = ["local", "s3"];
+const DEPS_TARBALL = "/root/htzbuild-deps.tar.gz";
+const DEPS_MARKER = "/root/htzbuild-deps-cache";
+const GET_URL_VAR = "HTZBUILD_DEPS_GET_URL";
+const PUT_URL_VAR = "HTZBUILD_DEPS_PUT_URL";
+
+function resolveDepsCacheSettings(config) {
+  const section = (config && config.depsCache) || {};
+  const settings = {
+    ...DEFAULT_CONFIG.depsCache,
+    ...section,
+    s3: { ...DEFAULT_CONFIG.depsCache.s3, ...(section.s3 || {}) }
+  };
+  if (!DEPS_STORAGES.includes(settings.storage)) {
+    throw new Error(
+      `Invalid depsCache.storage "${settings.storage}" (expected one of: ${DEPS_STORAGES.join(", ")})`
+    );
+  }
+  return settings;
+}
+
+function resolveLocalCacheDir(settings) {
+  const dir = settings.localDir || path.join(os.homedir(), ".cache", "htzbuild", "deps");
+  return dir.startsWith("~") ? path.join(os.homedir(), dir.slice(1)) : path.resolve(dir);
+}
+
+// The lockfile pins the dependency tree; the install command, platform and Node
+// version decide what ends up in node_modules (native modules, postinstall).
+function depsCacheKey({ lockfileContent, installCommand, platform, nodeVersion }) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(lockfileContent)
+    .update("\0")
+    .update(installCommand)
+    .digest("hex")
+    .slice(0, 32);
+  return `${platform}-node${nodeVersion.replace(/^v/, "")}-${hash}`.replace(/[^A-Za-z0-9._-]+/g, "_");
+}
+
+function parseRuntime(output) {
+  const [platform = "unknown", nodeVersion = "unknown"] = String(output || "").trim().split(/\s+/);
+  return { platform: platform.toLowerCase(), nodeVersion };
+}
+
+function runtimeCommand() {
+  return 'echo "$(uname -s)-$(uname -m) $(node -v)"';
+}
+
+// The marker file tells the install step to skip and the client what happened:
+// "hit" (restored), "saved" (missed, tarball stored) or "miss".
+function restoreCommands(settings, projectDir) {
+  const tarball = quoteShellArg(DEPS_TARBALL);
+  const marker = quoteShellArg(DEPS_MARKER);
+  return [
+    ...(settings.storage === "s3"
+      ? [`rm -f ${tarball}`, `curl -fsS -o ${tarball} "$${GET_URL_VAR}" 2>/dev/null || rm -f ${tarball}`]
+      : []),
+    `if [ -f ${tarball} ] && tar xzf ${tarball} -C ${quoteShellArg(projectDir)}; then`,
+    `  echo hit > ${marker}`,
+    '  echo "Dependency cache hit"',
+    "else",
+    `  echo miss > ${marker}`,
+    '  echo "Dependency cache miss"',
+    "fi",
+    `rm -f ${tarball}`
+  ];
+}
+
+function skipInstallCommand() {
+  return `if [ "$(cat ${quoteShellArg(DEPS_MARKER)} 2>/dev/null)" = hit ]; then echo "Dependencies restored from cache; skipping install"; return 0; fi`;
+}
+
+// Saving never fails the build; a broken upload only costs the next cache hit.
+function saveCommands(settings, projectDir) {
+  const tarball = quoteShellArg(DEPS_TARBALL);
+  const marker = quoteShellArg(DEPS_MARKER);
+  const upload =
+    settings.storage === "s3"
+      ? ` && curl -fsS -T ${tarball} "$${PUT_URL_VAR}" && rm -f ${tarball}`
+      : "";
+  return [
+    `if [ "$(cat ${marker} 2>/dev/null)" = hit ]; then return 0; fi`,
+    `if (cd ${quoteShellArg(projectDir)} && find . -name node_modules -type d -prune -print0 | tar czf ${tarball} --null -T -)${upload}; then`,
+    `  echo saved > ${marker}`,
+    '  echo "Dependency cache saved"',
+    "else",
+    `  rm -f ${tarball}`,
+    '  echo "Could not save the dependency cache"',
+    "fi"
+  ];
+}
+
+function localTarballPath(settings, key) {
+  return path.join(resolveLocalCacheDir(settings), `${key}.tar.gz`);
+}
+
+// Keeps the most recently used tarballs; a new lockfile makes older ones dead weight.
+function pruneLocalCache(settings) {
+  const dir = resolveLocalCacheDir(settings);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const entries = fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".tar.gz"))
+    .map((name) => ({ file: path.join(dir, name), mtimeMs: fs.statSync(path.join(dir, name)).mtimeMs }))
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  const removed = entries.slice(Math.max(settings.keep, 1));
+  removed.forEach((entry) => fs.rmSync(entry.file, { force: true }));
+  return removed.map((entry) => entry.file);
+}
+
+module.exports = {
+  DEPS_STORAGES,
+  DEPS_TARBALL,
+  DEPS_MARKER,
+  GET_URL_VAR,
+  PUT_URL_VAR,
+  resolveDepsCacheSettings,
+  resolveLocalCacheDir,
+  depsCacheKey,
+  parseRuntime,
+  runtimeCommand,
+  restoreCommands,
+  skipInstallCommand,
+  saveCommands,
+  localTarballPath,
+  pruneLocalCache
+};
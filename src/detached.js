@@ -0,0 +1,221 @@
+const fs = require("fs");
+const path = require("path");
+const { resolveConfigDir } = require("./configLoader");
+const { BUILD_PHASES } = require("./buildStatus");
+const { EXIT_CODES } = require("./errors");
+const { updateHistory } = require("./history");
+const { logInfo, logSuccess, logWarn, logError } = require("./logger");
+
+function resolveDetachedDir() {
+  return path.join(resolveConfigDir(), "detached");
+}
+
+function detachedStatePath(id) {
+  return path.join(resolveDetachedDir(), `${id}.json`);
+}
+
+function saveDetachedBuild(state) {
+  const statePath = detachedStatePath(state.id);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, `${JSON.stringify(state, null, 2)}\n`, {
+    encoding: "utf8",
+    mode: 0o600
+  });
+  return statePath;
+}
+
+function loadDetachedBuilds() {
+  const dir = resolveDetachedDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+      } catch {
+        logWarn(`Ignoring unreadable detached build state ${name}`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+function findDetachedBuild(id, projectDir) {
+  const builds = loadDetachedBuilds();
+
+  if (id) {
+    const match = builds.find((build) => build.id === id || String(build.serverId) === id);
+    if (!match) {
+      throw new Error(`No detached build named ${id}`);
+    }
+    return match;
+  }
+
+  const match = builds.find((build) => build.projectDir === projectDir);
+  if (!match) {
+    throw new Error("No detached build found for this project. Start one with 'htzbuild --detach'.");
+  }
+  return match;
+}
+
+function removeDetachedBuild(id) {
+  fs.rmSync(detachedStatePath(id), { force: true });
+}
+
+function describeStatus(status) {
+  if (!status) {
+    return "starting";
+  }
+  if (status.phase === BUILD_PHASES.failed) {
+    return `failed during ${status.step} (exit code ${status.exitCode})`;
+  }
+  if (status.phase === BUILD_PHASES.succeeded) {
+    return "succeeded";
+  }
+  return `running (${status.step})`;
+}
+
+function showDetachedStatus(builder, state) {
+  const elapsedMinutes = Math.round((Date.now() - state.startedAt) / 60000);
+  const poll = builder.pollBuildStatus();
+
+  logInfo(`Build:    ${state.id}`);
+  logInfo(`Profile:  ${state.profile}`);
+  logInfo(`Server:   ${state.serverIp} (ID: ${state.serverId}, ${state.serverType} @ ${state.location})`);
+  logInfo(`Started:  ${new Date(state.startedAt).toISOString()} (${elapsedMinutes} minutes ago)`);
+
+  if (!poll) {
+    logWarn("Status:   unknown (server unreachable)");
+    return null;
+  }
+
+  const description =
+    !poll.alive && (!poll.status || poll.status.phase === BUILD_PHASES.running)
+      ? "died unexpectedly"
+      : describeStatus(poll.status);
+  logInfo(`Status:   ${description}`);
+  return poll;
+}
+
+// Detached runs are recorded when they detach; settle that record once the
+// build is fetched or cancelled.
+async function settleDetachedHistory(builder, state, changes) {
+  if (!state.historyId) {
+    return;
+  }
+
+  const estimatedCost = await builder.estimateCost(Date.now() - state.startedAt);
+  try {
+    updateHistory(state.historyId, (record) => ({
+      ...changes,
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - new Date(record.startedAt).getTime(),
+      estimatedCost
+    }));
+  } catch (error) {
+    logWarn(`Could not update build history: ${error.message}`);
+  }
+}
+
+async function attachDetachedBuild(builder, state) {
+  logInfo(`Attaching to ${state.id}; press Ctrl+C to detach again.`);
+  await builder.monitorBuild();
+  logSuccess(`Build finished. Run 'htzbuild fetch ${state.id}' to download the artifact.`);
+}
+
+async function fetchDetachedBuild(builder, state) {
+  const poll = builder.pollBuildStatus();
+  if (!poll) {
+    throw new Error(`Cannot reach build server ${state.serverIp}`);
+  }
+
+  const { status, alive } = poll;
+  if (alive && (!status || status.phase === BUILD_PHASES.running)) {
+    throw new Error(
+      `Build is still ${describeStatus(status)}; use 'htzbuild attach' to follow it.`
+    );
+  }
+
+  builder.buildStatus = status;
+  if (!status || status.phase !== BUILD_PHASES.succeeded) {
+    const error = `Remote build ${describeStatus(status)}`;
+    logError(`Build ${describeStatus(status)}; no artifact to fetch.`);
+    const logTail = builder.readLogTail();
+    try {
+      await settleDetachedHistory(builder, state, {
+        result: "failed",
+        failedPhase: "build",
+        exitCode: EXIT_CODES.build,
+        error
+      });
+    } finally {
+      await builder.finishServer();
+      removeDetachedBuild(state.id);
+    }
+    await builder.notify("failed", {
+      durationMs: Date.now() - state.startedAt,
+      error,
+      failedPhase: "build",
+      logTail
+    });
+    throw new Error("Remote build failed");
+  }
+
+  // The server and its state file are the only copy of the artifact until it
+  // is downloaded, so a failed download leaves both in place for a retry.
+  try {
+    builder.retrieveArtifact();
+  } catch (error) {
+    logWarn(
+      `Kept server ${state.serverIp} and its detached build state; run 'htzbuild fetch ${state.id}' to retry or 'htzbuild cancel ${state.id}' to delete it.`
+    );
+    throw error;
+  }
+  builder.finishDepsCache();
+  builder.logUpload();
+  builder.logDepsCache();
+  await builder.finishServer();
+  removeDetachedBuild(state.id);
+
+  await settleDetachedHistory(builder, state, {
+    result: "succeeded",
+    exitCode: 0,
+    artifactPath: builder.artifactPath,
+    upload: builder.upload ? builder.upload.location : null,
+    sha256: builder.artifactSha256,
+    sizeBytes: builder.artifactSizeBytes
+  });
+  await builder.notify("succeeded", {
+    durationMs: Date.now() - state.startedAt,
+    artifactPath: builder.artifactPath
+  });
+  return builder.artifactPath;
+}
+
+async function cancelDetachedBuild(builder, state) {
+  logInfo(`Stopping build ${state.id}...`);
+  builder.stopRemoteBuild();
+  await builder.deleteServer();
+  removeDetachedBuild(state.id);
+  await settleDetachedHistory(builder, state, { result: "cancelled" });
+  await builder.notify("cancelled", { durationMs: Date.now() - state.startedAt });
+  logSuccess("Build cancelled");
+}
+
+module.exports = {
+  resolveDetachedDir,
+  saveDetachedBuild,
+  loadDetachedBuilds,
+  findDetachedBuild,
+  removeDetachedBuild,
+  describeStatus,
+  showDetachedStatus,
+  attachDetachedBuild,
+  fetchDetachedBuild,
+  cancelDetachedBuild
+};
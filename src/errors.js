@@ -0,0 +1,33 @@
+// Exit codes let CI tell which part of a run failed without parsing logs.
+const EXIT_CODES = {
+  failure: 1,
+  prerequisites: 2,
+  provisioning: 3,
+  sync: 4,
+  build: 5,
+  retrieval: 6,
+  cleanup: 7,
+  budget: 8
+};
+
+class BuildError extends Error {
+  constructor(message, phase, options) {
+    super(message, options);
+    this.name = "BuildError";
+    this.phase = phase || null;
+    this.exitCode = EXIT_CODES[phase] || EXIT_CODES.failure;
+  }
+}
+
+function toBuildError(error, phase) {
+  if (error instanceof BuildError) {
+    return error;
+  }
+  return new BuildError(error.message, phase, { cause: error });
+}
+
+module.exports = {
+  EXIT_CODES,
+  BuildError,
+  toBuildError
+};
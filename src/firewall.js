@@ -0,0 +1,205 @@
+const crypto = require("crypto");
+const net = require("net");
+const { DEFAULT_CONFIG } = require("./configLoader");
+const { logInfo, logSuccess, logWarn } = require("./logger");
+
+const FIREWALL_LABEL = "htzbuild-firewall";
+const FIREWALL_LABEL_VALUE = "ssh";
+const IP_DETECT_TIMEOUT_MS = 5000;
+const RELEASE_ATTEMPTS = 5;
+const RELEASE_DELAY_MS = 2000;
+
+// Each echo service only answers over one address family, so the detected
+// address is the one SSH will come from.
+const IP_ECHO_URLS = {
+  4: "https://api.ipify.org",
+  6: "https://api6.ipify.org"
+};
+
+// Behind a jump host the builder sees the jump host's address, not ours, so
+// detection is skipped and allowedCidrs has to name the jump host.
+function resolveFirewallSettings(config, env = {}, network = DEFAULT_CONFIG.network) {
+  const firewall = { ...DEFAULT_CONFIG.firewall, ...((config && config.firewall) || {}) };
+  const extraCidrs = env.HTZBUILD_ALLOWED_CIDRS
+    ? env.HTZBUILD_ALLOWED_CIDRS.split(",").map((cidr) => cidr.trim()).filter(Boolean)
+    : [];
+  const ipFamily = network.mode === "ipv6-only" ? 6 : 4;
+  return {
+    ...firewall,
+    enabled: Boolean(firewall.enabled || extraCidrs.length),
+    allowedCidrs: [...(firewall.allowedCidrs || []), ...extraCidrs],
+    detectIp: Boolean(firewall.detectIp && !network.jumpHost),
+    ipEchoUrl: firewall.ipEchoUrl || IP_ECHO_URLS[ipFamily],
+    ipFamily,
+    jumpHost: network.jumpHost || null
+  };
+}
+
+function normalizeCidr(value) {
+  const [address, prefix, ...rest] = String(value).trim().split("/");
+  const version = net.isIP(address);
+  const maxPrefix = version === 6 ? 128 : 32;
+  if (!version || rest.length || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+    throw new Error(`Invalid CIDR "${value}" in firewall.allowedCidrs`);
+  }
+  const bits = prefix === undefined ? maxPrefix : Number(prefix);
+  if (bits > maxPrefix) {
+    throw new Error(`Invalid CIDR "${value}" in firewall.allowedCidrs`);
+  }
+  return `${address}/${bits}`;
+}
+
+async function detectPublicIp(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(IP_DETECT_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`${url} responded with status ${response.status}`);
+  }
+  const address = (await response.text()).trim();
+  if (!net.isIP(address)) {
+    throw new Error(`${url} did not return an IP address`);
+  }
+  return address;
+}
+
+// The caller's address is only required when nothing else would let SSH in;
+// CI runners with known egress ranges can rely on allowedCidrs alone.
+async function resolveAllowedCidrs(settings, detect = detectPublicIp) {
+  const cidrs = settings.allowedCidrs.map(normalizeCidr);
+
+  if (settings.detectIp) {
+    try {
+      const address = await detect(settings.ipEchoUrl);
+      if (net.isIP(address) !== settings.ipFamily) {
+        throw new Error(
+          `${settings.ipEchoUrl} returned ${address}, but the builder is reached over IPv${settings.ipFamily}`
+        );
+      }
+      cidrs.unshift(normalizeCidr(address));
+      logInfo(`Detected public IP ${address}`);
+    } catch (error) {
+      if (!cidrs.length) {
+        throw new Error(
+          `Could not detect your public IP (${error.message}); set firewall.allowedCidrs instead`
+        );
+      }
+      logWarn(`Could not detect your public IP (${error.message}); allowing only ${cidrs.join(", ")}`);
+    }
+  }
+
+  if (!cidrs.length) {
+    throw new Error(
+      settings.jumpHost
+        ? `The builder firewall needs firewall.allowedCidrs with the address of jump host ${settings.jumpHost}`
+        : "The builder firewall needs firewall.allowedCidrs when detectIp is off"
+    );
+  }
+  return [...new Set(cidrs)].sort();
+}
+
+// Builds from the same addresses share a firewall, named after the rule set.
+function firewallNameFor(cidrs) {
+  const hash = crypto.createHash("sha256").update(cidrs.join(",")).digest("hex");
+  return `htzbuild-ssh-${hash.slice(0, 12)}`;
+}
+
+async function ensureFirewall(client, cidrs, labels) {
+  const name = firewallNameFor(cidrs);
+  const [existing] = await client.listFirewalls(null, { name });
+  if (existing) {
+    logInfo(`Using firewall ${name} (SSH from ${cidrs.join(", ")})`);
+    return existing;
+  }
+
+  const firewall = await client.createFirewall({
+    name,
+    labels: { ...labels, [FIREWALL_LABEL]: FIREWALL_LABEL_VALUE },
+    rules: [
+      {
+        description: "SSH from htzbuild callers",
+        direction: "in",
+        protocol: "tcp",
+        port: "22",
+        source_ips: cidrs
+      }
+    ]
+  });
+  logSuccess(`Firewall created: ${name} (SSH from ${cidrs.join(", ")})`);
+  return firewall;
+}
+
+function isAppliedElsewhere(firewall, serverId) {
+  return (firewall.applied_to || []).some(
+    (resource) =>
+      resource.type !== "server" || !resource.server || String(resource.server.id) !== String(serverId)
+  );
+}
+
+// Hetzner detaches a firewall from a deleted server asynchronously, so a
+// firewall still in use only by that server is retried for a few seconds.
+// Firewalls shared with another running build are left for that build.
+async function releaseFirewall(client, firewall, serverId, delay = defaultDelay) {
+  for (let attempt = 1; attempt <= RELEASE_ATTEMPTS; attempt += 1) {
+    try {
+      await client.deleteFirewall(firewall.id);
+      logInfo(`Deleted firewall ${firewall.name}`);
+      return true;
+    } catch (error) {
+      if (error.code === "not_found") {
+        return true;
+      }
+      if (error.code !== "resource_in_use") {
+        throw error;
+      }
+    }
+
+    const current = await client.getFirewall(firewall.id);
+    if (isAppliedElsewhere(current, serverId)) {
+      return false;
+    }
+    await delay(RELEASE_DELAY_MS);
+  }
+
+  logWarn(`Firewall ${firewall.name} is still in use; 'htzbuild gc' removes it later.`);
+  return false;
+}
+
+function defaultDelay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function deleteUnusedFirewalls(client, options = {}) {
+  const { dryRun = false } = options;
+  const firewalls = await client.listFirewalls({ [FIREWALL_LABEL]: FIREWALL_LABEL_VALUE });
+  const unused = firewalls.filter((firewall) => !(firewall.applied_to || []).length);
+  const deleted = [];
+
+  for (const firewall of unused) {
+    if (dryRun) {
+      logInfo(`[DRY-RUN] Would delete firewall ${firewall.name} (ID: ${firewall.id})`);
+      continue;
+    }
+
+    try {
+      await client.deleteFirewall(firewall.id);
+      logSuccess(`Deleted firewall ${firewall.name} (ID: ${firewall.id})`);
+      deleted.push(firewall);
+    } catch (error) {
+      logWarn(`Failed to delete firewall ${firewall.name}: ${error.message}`);
+    }
+  }
+
+  return { unused, deleted };
+}
+
+module.exports = {
+  IP_ECHO_URLS,
+  FIREWALL_LABEL,
+  resolveFirewallSettings,
+  normalizeCidr,
+  detectPublicIp,
+  resolveAllowedCidrs,
+  firewallNameFor,
+  ensureFirewall,
+  releaseFirewall,
+  deleteUnusedFirewalls
+};
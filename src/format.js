@@ -0,0 +1,13 @@
+function formatDuration(ms) {
+  if (!ms && ms !== 0) {
+    return "-";
+  }
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}m ${seconds}s`;
+}
+
+module.exports = {
+  formatDuration
+};
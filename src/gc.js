@@ -0,0 +1,167 @@
+const os = require("os");
+const { sanitizeLabelValue } = require("./hcloudClient");
+const { CLAIMED_AT_LABEL, isExpired, isIdle } = require("./pool");
+const { EPHEMERAL_KEY_LABEL, EPHEMERAL_KEY_LABEL_VALUE, SERVER_LABEL } = require("./sshKeys");
+const { logInfo, logSuccess, logWarn } = require("./logger");
+
+const TOOL_LABEL = "htzbuild-tool";
+const TOOL_LABEL_VALUE = "htzbuild";
+const PROJECT_LABEL = "htzbuild-project";
+const PROFILE_LABEL = "htzbuild-profile";
+const CREATED_AT_LABEL = "htzbuild-created-at";
+const OWNER_LABEL = "htzbuild-owner";
+const DETACHED_UNTIL_LABEL = "htzbuild-detached-until";
+const DEFAULT_MAX_AGE = "3h";
+
+const DURATION_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([mhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" (use e.g. 90m, 3h or 2d)`);
+  }
+  return Number(match[1]) * DURATION_UNITS_MS[match[2] || "m"];
+}
+
+function currentOwner() {
+  let username = "unknown";
+  try {
+    username = os.userInfo().username;
+  } catch {
+    // userInfo throws when the uid has no passwd entry (e.g. some containers)
+  }
+  return `${username}@${os.hostname()}`;
+}
+
+function builderLabels({ project, profile, owner = currentOwner(), createdAt = Date.now() }) {
+  return {
+    [TOOL_LABEL]: TOOL_LABEL_VALUE,
+    [PROJECT_LABEL]: sanitizeLabelValue(project),
+    [PROFILE_LABEL]: sanitizeLabelValue(profile),
+    [CREATED_AT_LABEL]: String(Math.floor(createdAt / 1000)),
+    [OWNER_LABEL]: sanitizeLabelValue(owner)
+  };
+}
+
+function serverCreatedAt(server) {
+  const label = server.labels && server.labels[CREATED_AT_LABEL];
+  if (label) {
+    return Number(label) * 1000;
+  }
+  return new Date(server.created).getTime();
+}
+
+// A pooled server starts a new build every time it is claimed, so its age is
+// counted from the latest claim rather than from its creation.
+function serverBusySince(server) {
+  const claimed = server.labels && server.labels[CLAIMED_AT_LABEL];
+  return Math.max(serverCreatedAt(server), claimed ? Number(claimed) * 1000 : 0);
+}
+
+async function findOrphanedServers(client, maxAgeMs, now = Date.now()) {
+  const servers = await client.listServers({ [TOOL_LABEL]: TOOL_LABEL_VALUE });
+
+  return servers.filter((server) => {
+    // Warm pool servers are meant to outlive their build until the idle deadline.
+    if (isIdle(server)) {
+      return isExpired(server, now);
+    }
+    // Detached builds wait for 'htzbuild fetch' until their own deadline.
+    const detachedUntil = server.labels && server.labels[DETACHED_UNTIL_LABEL];
+    if (detachedUntil) {
+      return now > Number(detachedUntil) * 1000;
+    }
+    return now - serverBusySince(server) > maxAgeMs;
+  });
+}
+
+function describeServer(server, now = Date.now()) {
+  const labels = server.labels || {};
+  const ageMinutes = Math.round((now - serverBusySince(server)) / 60000);
+  return `${server.name} (ID: ${server.id}, project: ${labels[PROJECT_LABEL] || "-"}, profile: ${labels[PROFILE_LABEL] || "-"}, owner: ${labels[OWNER_LABEL] || "-"}, age: ${ageMinutes}m)`;
+}
+
+async function collectGarbage(client, options = {}) {
+  const { maxAgeMs = parseDuration(DEFAULT_MAX_AGE), dryRun = false } = options;
+  const orphans = await findOrphanedServers(client, maxAgeMs);
+  const deleted = [];
+
+  for (const server of orphans) {
+    if (dryRun) {
+      logInfo(`[DRY-RUN] Would delete ${describeServer(server)}`);
+      continue;
+    }
+
+    try {
+      await client.deleteServer(server.id);
+      logSuccess(`Deleted ${describeServer(server)}`);
+      deleted.push(server);
+    } catch (error) {
+      logWarn(`Failed to delete ${server.name}: ${error.message}`);
+    }
+  }
+
+  return { orphans, deleted };
+}
+
+// Throwaway SSH keys are deleted with their server; a key outliving the max
+// age belongs to a run that died before it could clean up. Keys of servers
+// that still exist (detached builds waiting to be fetched) stay.
+async function findOrphanedSshKeys(client, maxAgeMs, now = Date.now()) {
+  const keys = await client.listSshKeys({
+    [TOOL_LABEL]: TOOL_LABEL_VALUE,
+    [EPHEMERAL_KEY_LABEL]: EPHEMERAL_KEY_LABEL_VALUE
+  });
+  const servers = await client.listServers({ [TOOL_LABEL]: TOOL_LABEL_VALUE });
+  const liveServers = new Set(servers.map((server) => sanitizeLabelValue(server.name)));
+  return keys.filter(
+    (key) => now - serverCreatedAt(key) > maxAgeMs && !liveServers.has(key.labels && key.labels[SERVER_LABEL])
+  );
+}
+
+async function collectOrphanedSshKeys(client, options = {}) {
+  const { maxAgeMs = parseDuration(DEFAULT_MAX_AGE), dryRun = false } = options;
+  const orphans = await findOrphanedSshKeys(client, maxAgeMs);
+  const deleted = [];
+
+  for (const key of orphans) {
+    if (dryRun) {
+      logInfo(`[DRY-RUN] Would delete SSH key ${key.name} (ID: ${key.id})`);
+      continue;
+    }
+
+    try {
+      await client.deleteSshKey(key.id);
+      logSuccess(`Deleted SSH key ${key.name} (ID: ${key.id})`);
+      deleted.push(key);
+    } catch (error) {
+      logWarn(`Failed to delete SSH key ${key.name}: ${error.message}`);
+    }
+  }
+
+  return { orphans, deleted };
+}
+
+module.exports = {
+  TOOL_LABEL,
+  TOOL_LABEL_VALUE,
+  PROJECT_LABEL,
+  PROFILE_LABEL,
+  CREATED_AT_LABEL,
+  OWNER_LABEL,
+  DETACHED_UNTIL_LABEL,
+  DEFAULT_MAX_AGE,
+  parseDuration,
+  builderLabels,
+  serverCreatedAt,
+  serverBusySince,
+  findOrphanedServers,
+  describeServer,
+  collectGarbage,
+  findOrphanedSshKeys,
+  collectOrphanedSshKeys
+};
@@ -0,0 +1,489 @@
+const childProcess = require("child_process");
+
+const DEFAULT_BASE_URL = "https://api.hetzner.cloud/v1";
+const ACTION_POLL_INTERVAL_MS = 1000;
+const ACTION_TIMEOUT_MS = 10 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const REQUEST_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+// A create or action request that timed out may still have gone through, so
+// only requests that are safe to repeat are retried.
+const RETRYABLE_METHODS = ["GET", "DELETE"];
+const PAGE_SIZE = 50;
+
+class HcloudApiError extends Error {
+  constructor(message, { code = "unknown", status = null, details = null } = {}) {
+    super(message);
+    this.name = "HcloudApiError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Errors that mean "not here, not now" rather than a problem with the request,
+// token or quota; another location or server type may still work.
+const CAPACITY_ERROR_CODES = ["resource_unavailable", "placement_error", "unavailable"];
+
+function isCapacityError(error) {
+  return Boolean(error) && CAPACITY_ERROR_CODES.includes(error.code);
+}
+
+// Errors where the API may never have seen the request, so sending it again
+// can succeed.
+const RETRYABLE_ERROR_CODES = ["network_error", "timeout"];
+
+function isRetryableError(error) {
+  return Boolean(error) && RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+function buildQuery(query = {}) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      params.append(key, String(value));
+    }
+  });
+  const serialized = params.toString();
+  return serialized ? `?${serialized}` : "";
+}
+
+function formatLabelSelector(labels = {}) {
+  return Object.entries(labels)
+    .map(([key, value]) => (value === undefined || value === null ? key : `${key}=${value}`))
+    .join(",");
+}
+
+// Label values are limited to 63 characters of [a-z0-9A-Z._-], starting and
+// ending with an alphanumeric character.
+function sanitizeLabelValue(value) {
+  return String(value)
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .slice(0, 63)
+    .replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9]+$/g, "");
+}
+
+function checkActionResult(action) {
+  if (action.status === "error") {
+    const actionError = action.error || {};
+    throw new HcloudApiError(
+      actionError.message || `Action ${action.command} failed`,
+      { code: actionError.code || "action_failed" }
+    );
+  }
+  return action;
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+class HcloudClient {
+  constructor(token, options = {}) {
+    this.token = token;
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, "");
+    this.pollIntervalMs =
+      options.pollIntervalMs !== undefined ? options.pollIntervalMs : ACTION_POLL_INTERVAL_MS;
+    this.actionTimeoutMs = options.actionTimeoutMs || ACTION_TIMEOUT_MS;
+    this.requestTimeoutMs = options.requestTimeoutMs || REQUEST_TIMEOUT_MS;
+    this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : RETRY_DELAY_MS;
+  }
+
+  static fromEnv(env = process.env) {
+    return new HcloudClient(env.HCLOUD_TOKEN, { baseUrl: env.HCLOUD_ENDPOINT });
+  }
+
+  async request(method, resourcePath, body) {
+    if (!this.token) {
+      throw new HcloudApiError("HCLOUD_TOKEN is not set", { code: "unauthorized" });
+    }
+
+    const attempts = RETRYABLE_METHODS.includes(method) ? REQUEST_ATTEMPTS : 1;
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.requestOnce(method, resourcePath, body);
+      } catch (error) {
+        // The earlier attempt went through after all.
+        if (attempt > 1 && method === "DELETE" && error.code === "not_found") {
+          return {};
+        }
+        if (attempt >= attempts || !isRetryableError(error)) {
+          throw error;
+        }
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.retryDelayMs * attempt));
+    }
+  }
+
+  async requestOnce(method, resourcePath, body) {
+    let response;
+    let text;
+    try {
+      response = await fetch(`${this.baseUrl}${resourcePath}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.token}`,
+          "Content-Type": "application/json"
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(this.requestTimeoutMs)
+      });
+      text = await response.text();
+    } catch (error) {
+      if (error.name === "TimeoutError") {
+        throw new HcloudApiError(
+          `Hetzner API request timed out after ${Math.round(this.requestTimeoutMs / 1000)}s`,
+          { code: "timeout" }
+        );
+      }
+      throw new HcloudApiError(`Hetzner API request failed: ${error.message}`, {
+        code: "network_error"
+      });
+    }
+
+    let parsed = null;
+    if (text) {
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        parsed = null;
+      }
+    }
+
+    if (!response.ok) {
+      const apiError = parsed && parsed.error ? parsed.error : {};
+      throw new HcloudApiError(
+        apiError.message || `Hetzner API responded with status ${response.status}`,
+        {
+          code: apiError.code || "unknown",
+          status: response.status,
+          details: apiError.details || null
+        }
+      );
+    }
+
+    return parsed || {};
+  }
+
+  // Used from process "exit" handlers, where promises never settle. The request
+  // is replayed by this module in a child process and the result read back.
+  requestSync(method, resourcePath, body) {
+    const result = childProcess.spawnSync(process.execPath, [__filename], {
+      input: JSON.stringify({
+        token: this.token,
+        baseUrl: this.baseUrl,
+        requestTimeoutMs: this.requestTimeoutMs,
+        retryDelayMs: this.retryDelayMs,
+        method,
+        resourcePath,
+        body
+      }),
+      encoding: "utf8",
+      stdio: ["pipe", "pipe", "pipe"],
+      // The child retries on its own; this only bounds the whole exchange.
+      timeout: (this.requestTimeoutMs + this.retryDelayMs) * REQUEST_ATTEMPTS * 2
+    });
+
+    if (result.error && result.error.code === "ETIMEDOUT") {
+      throw new HcloudApiError("Hetzner API request timed out", { code: "timeout" });
+    }
+    if (result.error) {
+      throw result.error;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(result.stdout);
+    } catch {
+      throw new HcloudApiError(
+        (result.stderr && result.stderr.trim()) || "Hetzner API request failed",
+        { code: "unknown" }
+      );
+    }
+
+    if (parsed.error) {
+      throw new HcloudApiError(parsed.error.message, parsed.error);
+    }
+
+    return parsed.result;
+  }
+
+  async listAll(resourcePath, key, query = {}) {
+    const items = [];
+    let page = 1;
+
+    while (page) {
+      const response = await this.request(
+        "GET",
+        `${resourcePath}${buildQuery({ ...query, page, per_page: PAGE_SIZE })}`
+      );
+      items.push(...(response[key] || []));
+      const pagination = response.meta && response.meta.pagination;
+      page = pagination && pagination.next_page ? pagination.next_page : null;
+    }
+
+    return items;
+  }
+
+  async getAction(actionId) {
+    const response = await this.request("GET", `/actions/${actionId}`);
+    return response.action;
+  }
+
+  async waitForAction(action) {
+    if (!action) {
+      return null;
+    }
+
+    const startedAt = Date.now();
+    let current = action;
+
+    while (current.status === "running") {
+      if (Date.now() - startedAt > this.actionTimeoutMs) {
+        throw new HcloudApiError(`Timed out waiting for action ${current.command}`, {
+          code: "timeout"
+        });
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.pollIntervalMs));
+      current = await this.getAction(current.id);
+    }
+
+    return checkActionResult(current);
+  }
+
+  // Blocks between polls, so exit handlers can wait for an action too.
+  waitForActionSync(action, timeoutMs = this.actionTimeoutMs) {
+    if (!action) {
+      return null;
+    }
+
+    const startedAt = Date.now();
+    let current = action;
+
+    while (current.status === "running") {
+      if (Date.now() - startedAt > timeoutMs) {
+        throw new HcloudApiError(`Timed out waiting for action ${current.command}`, {
+          code: "timeout"
+        });
+      }
+      sleepSync(this.pollIntervalMs);
+      current = this.requestSync("GET", `/actions/${current.id}`).action;
+    }
+
+    return checkActionResult(current);
+  }
+
+  listServers(labels) {
+    return this.listAll("/servers", "servers", {
+      label_selector: labels ? formatLabelSelector(labels) : undefined
+    });
+  }
+
+  async getServer(serverId) {
+    const response = await this.request("GET", `/servers/${serverId}`);
+    return response.server;
+  }
+
+  async createServer(payload) {
+    const response = await this.request("POST", "/servers", payload);
+    try {
+      await this.waitForAction(response.action);
+    } catch (error) {
+      // The server record can outlive a failed create action; let the caller remove it.
+      error.server = response.server;
+      throw error;
+    }
+    return response.server;
+  }
+
+  async updateServer(serverId, payload) {
+    const response = await this.request("PUT", `/servers/${serverId}`, payload);
+    return response.server;
+  }
+
+  async deleteServer(serverId) {
+    const response = await this.request("DELETE", `/servers/${serverId}`);
+    return this.waitForAction(response.action);
+  }
+
+  deleteServerSync(serverId) {
+    return this.requestSync("DELETE", `/servers/${serverId}`);
+  }
+
+  async createServerImage(serverId, payload) {
+    const response = await this.request(
+      "POST",
+      `/servers/${serverId}/actions/create_image`,
+      payload
+    );
+    await this.waitForAction(response.action);
+    return response.image;
+  }
+
+  listImages(labels, query = {}) {
+    return this.listAll("/images", "images", {
+      ...query,
+      label_selector: labels ? formatLabelSelector(labels) : undefined
+    });
+  }
+
+  async deleteImage(imageId) {
+    await this.request("DELETE", `/images/${imageId}`);
+  }
+
+  listVolumes(labels, query = {}) {
+    return this.listAll("/volumes", "volumes", {
+      ...query,
+      label_selector: labels ? formatLabelSelector(labels) : undefined
+    });
+  }
+
+  async getVolume(volumeId) {
+    const response = await this.request("GET", `/volumes/${volumeId}`);
+    return response.volume;
+  }
+
+  async createVolume(payload) {
+    const response = await this.request("POST", "/volumes", payload);
+    await this.waitForAction(response.action);
+    return response.volume;
+  }
+
+  async attachVolume(volumeId, serverId) {
+    const response = await this.request("POST", `/volumes/${volumeId}/actions/attach`, {
+      server: Number(serverId),
+      automount: false
+    });
+    return this.waitForAction(response.action);
+  }
+
+  async detachVolume(volumeId) {
+    const response = await this.request("POST", `/volumes/${volumeId}/actions/detach`);
+    return this.waitForAction(response.action);
+  }
+
+  detachVolumeSync(volumeId) {
+    return this.requestSync("POST", `/volumes/${volumeId}/actions/detach`);
+  }
+
+  async deleteVolume(volumeId) {
+    await this.request("DELETE", `/volumes/${volumeId}`);
+  }
+
+  listNetworks(labels, query = {}) {
+    return this.listAll("/networks", "networks", {
+      ...query,
+      label_selector: labels ? formatLabelSelector(labels) : undefined
+    });
+  }
+
+  listFirewalls(labels, query = {}) {
+    return this.listAll("/firewalls", "firewalls", {
+      ...query,
+      label_selector: labels ? formatLabelSelector(labels) : undefined
+    });
+  }
+
+  async getFirewall(firewallId) {
+    const response = await this.request("GET", `/firewalls/${firewallId}`);
+    return response.firewall;
+  }
+
+  async createFirewall(payload) {
+    const response = await this.request("POST", "/firewalls", payload);
+    for (const action of response.actions || []) {
+      await this.waitForAction(action);
+    }
+    return response.firewall;
+  }
+
+  async applyFirewall(firewallId, serverId) {
+    const response = await this.request(
+      "POST",
+      `/firewalls/${firewallId}/actions/apply_to_resources`,
+      { apply_to: [{ type: "server", server: { id: Number(serverId) } }] }
+    );
+    for (const action of response.actions || []) {
+      await this.waitForAction(action);
+    }
+  }
+
+  async deleteFirewall(firewallId) {
+    await this.request("DELETE", `/firewalls/${firewallId}`);
+  }
+
+  deleteFirewallSync(firewallId) {
+    return this.requestSync("DELETE", `/firewalls/${firewallId}`);
+  }
+
+  listServerTypes(query = {}) {
+    return this.listAll("/server_types", "server_types", query);
+  }
+
+  listSshKeys(labels, query = {}) {
+    return this.listAll("/ssh_keys", "ssh_keys", {
+      ...query,
+      label_selector: labels ? formatLabelSelector(labels) : undefined
+    });
+  }
+
+  async createSshKey(name, publicKey, labels) {
+    const response = await this.request("POST", "/ssh_keys", {
+      name,
+      public_key: publicKey,
+      labels
+    });
+    return response.ssh_key;
+  }
+
+  async deleteSshKey(sshKeyId) {
+    await this.request("DELETE", `/ssh_keys/${sshKeyId}`);
+  }
+
+  deleteSshKeySync(sshKeyId) {
+    return this.requestSync("DELETE", `/ssh_keys/${sshKeyId}`);
+  }
+}
+
+async function runRequestFromStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+
+  const { token, baseUrl, requestTimeoutMs, retryDelayMs, method, resourcePath, body } = JSON.parse(
+    Buffer.concat(chunks).toString("utf8")
+  );
+  const client = new HcloudClient(token, { baseUrl, requestTimeoutMs, retryDelayMs });
+
+  try {
+    const result = await client.request(method, resourcePath, body);
+    process.stdout.write(JSON.stringify({ result }));
+  } catch (error) {
+    process.stdout.write(
+      JSON.stringify({
+        error: {
+          message: error.message,
+          code: error.code || "unknown",
+          status: error.status || null,
+          details: error.details || null
+        }
+      })
+    );
+  }
+}
+
+if (require.main === module) {
+  runRequestFromStdin();
+}
+
+module.exports = {
+  HcloudClient,
+  HcloudApiError,
+  CAPACITY_ERROR_CODES,
+  isCapacityError,
+  isRetryableError,
+  formatLabelSelector,
+  sanitizeLabelValue,
+  DEFAULT_BASE_URL
+};
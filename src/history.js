@@ -0,0 +1,153 @@
+const childProcess = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { resolveConfigDir } = require("./configLoader");
+
+const HISTORY_RESULTS = ["succeeded", "failed", "detached", "cancelled"];
+const CSV_COLUMNS = [
+  "id",
+  "startedAt",
+  "profile",
+  "project",
+  "gitCommit",
+  "serverType",
+  "location",
+  "result",
+  "failedPhase",
+  "exitCode",
+  "durationMs",
+  "artifactPath",
+  "sha256",
+  "estimatedCost",
+  "currency",
+  "dryRun"
+];
+
+function resolveHistoryPath() {
+  return path.join(resolveConfigDir(), "history.jsonl");
+}
+
+function createHistoryId() {
+  return crypto.randomBytes(4).toString("hex");
+}
+
+function resolveGitCommit(projectDir) {
+  try {
+    const commit = childProcess
+      .execSync("git rev-parse HEAD", { cwd: projectDir, stdio: ["ignore", "pipe", "ignore"] })
+      .toString()
+      .trim();
+    const dirty = childProcess
+      .execSync("git status --porcelain", { cwd: projectDir, stdio: ["ignore", "pipe", "ignore"] })
+      .toString()
+      .trim();
+    return { commit, dirty: dirty.length > 0 };
+  } catch {
+    return { commit: null, dirty: false };
+  }
+}
+
+// The ledger is append-only JSON lines so that concurrent matrix builds can
+// each add their record without coordinating.
+function appendHistory(record) {
+  const historyPath = resolveHistoryPath();
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.appendFileSync(historyPath, `${JSON.stringify(record)}\n`, { encoding: "utf8", mode: 0o600 });
+  return record;
+}
+
+function loadHistory() {
+  const historyPath = resolveHistoryPath();
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(historyPath, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function updateHistory(id, changes) {
+  const records = loadHistory();
+  const record = records.find((entry) => entry.id === id);
+  if (!record) {
+    return null;
+  }
+
+  Object.assign(record, typeof changes === "function" ? changes(record) : changes);
+  const historyPath = resolveHistoryPath();
+  const tmpPath = `${historyPath}.tmp`;
+  fs.writeFileSync(tmpPath, records.map((entry) => `${JSON.stringify(entry)}\n`).join(""), {
+    encoding: "utf8",
+    mode: 0o600
+  });
+  fs.renameSync(tmpPath, historyPath);
+  return record;
+}
+
+function filterHistory(records, options = {}) {
+  const { profile = null, result = null, limit = null } = options;
+  const matches = records
+    .filter((record) => !profile || record.profile === profile)
+    .filter((record) => !result || record.result === result)
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+  return limit ? matches.slice(0, limit) : matches;
+}
+
+function findHistoryRecord(records, id) {
+  const matches = records.filter((record) => record.id.startsWith(id));
+  if (!matches.length) {
+    throw new Error(`No build with id ${id} in the history`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Build id ${id} is ambiguous; use more characters`);
+  }
+  return matches[0];
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function historyToCsv(records) {
+  const rows = records.map((record) =>
+    CSV_COLUMNS.map((column) => {
+      if (column === "estimatedCost") {
+        return csvCell(record.estimatedCost ? record.estimatedCost.amount : null);
+      }
+      if (column === "currency") {
+        return csvCell(record.estimatedCost ? record.estimatedCost.currency : null);
+      }
+      return csvCell(record[column]);
+    }).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+module.exports = {
+  HISTORY_RESULTS,
+  resolveHistoryPath,
+  createHistoryId,
+  resolveGitCommit,
+  appendHistory,
+  loadHistory,
+  updateHistory,
+  filterHistory,
+  findHistoryRecord,
+  historyToCsv
+};
@@ -0,0 +1,152 @@
+const childProcess = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const HOST_KEY_LABEL = "htzbuild-host-key";
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+const MIME_BOUNDARY = "htzbuild-user-data";
+
+// cloud-init picks a part's handler from its Content-Type, not from its first
+// line, so a shell script labelled as cloud-config would never run.
+const USER_DATA_TYPES = [
+  ["#!", "text/x-shellscript"],
+  ["#cloud-config", "text/cloud-config"],
+  ["#cloud-boothook", "text/cloud-boothook"],
+  ["#include", "text/x-include-url"],
+  ["#part-handler", "text/part-handler"]
+];
+
+// The server's SSH host key is generated here and handed to cloud-init, so the
+// first connection can already be verified against a known key.
+function generateHostKeyPair() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-hostkey-"));
+  const keyFile = path.join(dir, "ssh_host_ed25519_key");
+  try {
+    childProcess.execFileSync(
+      "ssh-keygen",
+      ["-q", "-t", "ed25519", "-N", "", "-C", "htzbuild-host", "-f", keyFile],
+      { stdio: "ignore" }
+    );
+    return {
+      privateKey: fs.readFileSync(keyFile, "utf8"),
+      publicKey: fs.readFileSync(`${keyFile}.pub`, "utf8").trim().split(" ").slice(0, 2).join(" ")
+    };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function hostKeyFingerprint(publicKey) {
+  const blob = Buffer.from(publicKey.split(" ")[1], "base64");
+  return `SHA256:${crypto.createHash("sha256").update(blob).digest("base64").replace(/=+$/, "")}`;
+}
+
+function hostKeyCloudConfig(keyPair) {
+  const indented = keyPair.privateKey
+    .trim()
+    .split("\n")
+    .map((line) => `    ${line}`)
+    .join("\n");
+  return [
+    "#cloud-config",
+    "ssh_deletekeys: true",
+    "ssh_genkeytypes: []",
+    "ssh_keys:",
+    "  ed25519_private: |",
+    indented,
+    `  ed25519_public: ${keyPair.publicKey}`,
+    ""
+  ].join("\n");
+}
+
+function userDataContentType(part) {
+  const match = USER_DATA_TYPES.find(([prefix]) => part.startsWith(prefix));
+  return match ? match[1] : "text/cloud-config";
+}
+
+// cloud-init merges the cloud-config parts of a multipart message, which keeps
+// the user's cloud-init file untouched.
+function combineUserData(parts) {
+  const present = parts.filter(Boolean);
+  if (present.length <= 1) {
+    return present[0];
+  }
+
+  return [
+    `Content-Type: multipart/mixed; boundary="${MIME_BOUNDARY}"`,
+    "MIME-Version: 1.0",
+    "",
+    ...present.flatMap((part) => {
+      const contentType = userDataContentType(part);
+      return [
+        `--${MIME_BOUNDARY}`,
+        `Content-Type: ${contentType}; charset="utf-8"`,
+        ...(contentType === "text/cloud-config"
+          ? ["Merge-Type: list(append)+dict(no_replace,recurse_list)+str()"]
+          : []),
+        "",
+        part.trimEnd(),
+        ""
+      ];
+    }),
+    `--${MIME_BOUNDARY}--`,
+    ""
+  ].join("\n");
+}
+
+function writeKnownHosts(filePath, host, publicKey) {
+  fs.writeFileSync(filePath, publicKey ? `${host} ${publicKey}\n` : "", {
+    encoding: "utf8",
+    mode: 0o600
+  });
+}
+
+// Labels only allow [a-z0-9-_.] and 63 characters, so the raw 32-byte
+// ed25519 key is stored base32-encoded (52 characters).
+function encodeHostKeyLabel(publicKey) {
+  const [type, data] = publicKey.split(" ");
+  if (type !== "ssh-ed25519") {
+    return null;
+  }
+  const raw = Buffer.from(data, "base64").subarray(-32);
+  let bits = "";
+  raw.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+  return (bits.match(/.{1,5}/g) || [])
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, "0"), 2)])
+    .join("");
+}
+
+function decodeHostKeyLabel(label) {
+  if (!label || !/^[a-z2-7]{52}$/.test(label)) {
+    return null;
+  }
+  const bits = label
+    .split("")
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0"))
+    .join("");
+  const raw = Buffer.from((bits.match(/.{8}/g) || []).slice(0, 32).map((byte) => parseInt(byte, 2)));
+  const type = Buffer.from("ssh-ed25519");
+  const blob = Buffer.concat([
+    Buffer.from([0, 0, 0, type.length]),
+    type,
+    Buffer.from([0, 0, 0, raw.length]),
+    raw
+  ]);
+  return `ssh-ed25519 ${blob.toString("base64")}`;
+}
+
+module.exports = {
+  HOST_KEY_LABEL,
+  generateHostKeyPair,
+  hostKeyFingerprint,
+  hostKeyCloudConfig,
+  userDataContentType,
+  combineUserData,
+  writeKnownHosts,
+  encodeHostKeyLabel,
+  decodeHostKeyLabel
+};
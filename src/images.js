@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { logInfo, logSuccess, logWarn, startSpinner, stopSpinner } = require("./logger");
+
+const SNAPSHOT_LABEL = "htzbuild-image";
+const SNAPSHOT_LABEL_VALUE = "builder";
+const CLOUD_INIT_HASH_LABEL = "htzbuild-cloud-init";
+
+function hashCloudInit(contents) {
+  return crypto.createHash("sha256").update(contents).digest("hex").slice(0, 16);
+}
+
+function hashCloudInitFile(filePath) {
+  return hashCloudInit(fs.readFileSync(filePath, "utf8"));
+}
+
+async function listBuilderSnapshots(client) {
+  const images = await client.listImages(
+    { [SNAPSHOT_LABEL]: SNAPSHOT_LABEL_VALUE },
+    { type: "snapshot" }
+  );
+  return images.sort((a, b) => new Date(b.created) - new Date(a.created));
+}
+
+async function findSnapshotForHash(client, cloudInitHash) {
+  const snapshots = await listBuilderSnapshots(client);
+  return (
+    snapshots.find(
+      (image) =>
+        image.status === "available" &&
+        image.labels &&
+        image.labels[CLOUD_INIT_HASH_LABEL] === cloudInitHash
+    ) || null
+  );
+}
+
+async function bakeImage(builder) {
+  const cloudInitHash = hashCloudInitFile(builder.cloudInitFile);
+  builder.serverName = `htzbuild-bake-${Date.now()}`;
+
+  builder.registerCleanup();
+  builder.checkPrerequisites();
+  await builder.createServer();
+  await builder.waitForServer();
+
+  startSpinner("Resetting cloud-init state before snapshot...");
+  builder.runSSHCommand("cloud-init clean --logs --machine-id && sync");
+
+  if (builder.options.dryRun) {
+    stopSpinner();
+    logInfo(`[DRY-RUN] Would snapshot server with ${CLOUD_INIT_HASH_LABEL}=${cloudInitHash}`);
+    return null;
+  }
+
+  startSpinner(`Creating snapshot (cloud-init ${cloudInitHash})...`);
+  const image = await builder.hcloud.createServerImage(builder.serverId, {
+    type: "snapshot",
+    description: `htzbuild builder ${cloudInitHash}`,
+    labels: {
+      [SNAPSHOT_LABEL]: SNAPSHOT_LABEL_VALUE,
+      [CLOUD_INIT_HASH_LABEL]: cloudInitHash
+    }
+  });
+  logSuccess(`Snapshot created: ${image.id}`);
+
+  await builder.deleteServer();
+  return image;
+}
+
+async function pruneSnapshots(client, cloudInitHash, options = {}) {
+  const { keep = 1, dryRun = false } = options;
+  const snapshots = await listBuilderSnapshots(client);
+  let kept = 0;
+  const removed = [];
+
+  for (const image of snapshots) {
+    if (image.status !== "available") {
+      continue;
+    }
+
+    const matchesCurrent = image.labels && image.labels[CLOUD_INIT_HASH_LABEL] === cloudInitHash;
+    if (matchesCurrent && kept < keep) {
+      kept += 1;
+      continue;
+    }
+
+    if (dryRun) {
+      logInfo(`[DRY-RUN] Would delete snapshot ${image.id} (${image.description})`);
+    } else {
+      try {
+        await client.deleteImage(image.id);
+        logSuccess(`Deleted snapshot ${image.id} (${image.description})`);
+      } catch (error) {
+        logWarn(`Failed to delete snapshot ${image.id}: ${error.message}`);
+        continue;
+      }
+    }
+    removed.push(image);
+  }
+
+  return removed;
+}
+
+module.exports = {
+  SNAPSHOT_LABEL,
+  CLOUD_INIT_HASH_LABEL,
+  hashCloudInit,
+  hashCloudInitFile,
+  listBuilderSnapshots,
+  findSnapshotForHash,
+  bakeImage,
+  pruneSnapshots
+};
@@ -2,6 +2,15 @@ const ora = require("ora");
 const chalk = require("chalk");
 
 let spinner = null;
+let jsonMode = false;
+
+const REDACTED = "***";
+const MIN_SECRET_LENGTH = 6;
+const secrets = new Set();
+
+const TASK_COLORS = ["cyan", "magenta", "yellow", "green", "blue"];
+const taskColors = new Map();
+const taskStatuses = new Map();
 
 function stopSpinner(success = true) {
   if (spinner) {
@@ -14,63 +23,160 @@ function stopSpinner(success = true) {
   }
 }
 
+// In JSON mode stdout carries only NDJSON events; human-readable output moves
+// to stderr and spinners stop animating.
+function setJsonMode(enabled) {
+  jsonMode = Boolean(enabled);
+}
+
+function isJsonMode() {
+  return jsonMode;
+}
+
+// Every value registered here is masked, together with its base64 form, in
+// all output that goes through this module.
+function registerSecret(value) {
+  if (typeof value !== "string" || value.length < MIN_SECRET_LENGTH) {
+    return;
+  }
+  const base64 = Buffer.from(value, "utf8").toString("base64");
+  secrets.add(value);
+  secrets.add(base64);
+  secrets.add(base64.replace(/=+$/, ""));
+}
+
+function registerSecrets(values) {
+  values.forEach(registerSecret);
+}
+
+function redact(text) {
+  if (text === null || text === undefined || !secrets.size) {
+    return text;
+  }
+  return [...secrets]
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, secret) => result.split(secret).join(REDACTED), String(text));
+}
+
+function writeLine(line) {
+  if (jsonMode) {
+    console.error(redact(line));
+  } else {
+    console.log(redact(line));
+  }
+}
+
+function createSpinner(text) {
+  return ora({ text: redact(text), isEnabled: jsonMode ? false : undefined }).start();
+}
+
 function startSpinner(text) {
   stopSpinner(true); // Stop previous if exists
-  spinner = ora(text).start();
+  spinner = createSpinner(text);
 }
 
 function updateSpinner(text) {
   if (spinner) {
-    spinner.text = text;
+    spinner.text = redact(text);
   } else {
-    spinner = ora(text).start();
+    spinner = createSpinner(text);
   }
 }
 
-function logInfo(message) {
-  if (spinner) {
+function printLine(line) {
+  // A disabled (non-TTY) spinner prints its text on every start(), so only
+  // pause and resume it when it is actually animating.
+  if (spinner && spinner.isEnabled) {
     spinner.stop();
-    console.log(chalk.blue("ℹ") + " " + message);
+    writeLine(line);
     spinner.start();
   } else {
-    console.log(chalk.blue("ℹ") + " " + message);
+    writeLine(line);
   }
 }
 
+function logPlain(message) {
+  writeLine(message);
+}
+
+function emitEvent(event, data = {}) {
+  if (!jsonMode) {
+    return;
+  }
+  const payload = { event, timestamp: new Date().toISOString(), ...data };
+  process.stdout.write(
+    `${JSON.stringify(payload, (key, value) => (typeof value === "string" ? redact(value) : value))}\n`
+  );
+}
+
+function logInfo(message) {
+  printLine(chalk.blue("ℹ") + " " + message);
+}
+
 function logSuccess(message) {
   if (spinner) {
-    spinner.succeed(message);
+    spinner.succeed(redact(message));
     spinner = null;
   } else {
-    console.log(chalk.green("✔") + " " + message);
+    writeLine(chalk.green("✔") + " " + message);
   }
 }
 
 function logWarn(message) {
-  if (spinner) {
-    spinner.stop();
-    console.log(chalk.yellow("⚠") + " " + message);
-    spinner.start();
-  } else {
-    console.log(chalk.yellow("⚠") + " " + message);
-  }
+  printLine(chalk.yellow("⚠") + " " + message);
 }
 
 function logError(message) {
   if (spinner) {
-    spinner.fail(message);
+    spinner.fail(redact(message));
     spinner = null;
   } else {
-    console.log(chalk.red("✖") + " " + message);
+    writeLine(chalk.red("✖") + " " + message);
+  }
+}
+
+// Concurrent tasks (e.g. one builder per profile) share the single spinner:
+// their output is prefixed per task and the spinner shows every task's state.
+function taskColor(task) {
+  if (!taskColors.has(task)) {
+    taskColors.set(task, TASK_COLORS[taskColors.size % TASK_COLORS.length]);
   }
+  return chalk[taskColors.get(task)];
+}
+
+function logTaskLine(task, line) {
+  printLine(taskColor(task)(`[${task}]`) + " " + line);
+}
+
+function setTaskStatus(task, status) {
+  taskStatuses.set(task, status);
+  const summary = Array.from(taskStatuses.entries())
+    .map(([name, value]) => `${taskColor(name)(name)}: ${value}`)
+    .join(", ");
+  updateSpinner(`Builds: ${summary}`);
+}
+
+function clearTasks() {
+  taskStatuses.clear();
+  taskColors.clear();
 }
 
 module.exports = {
+  setJsonMode,
+  isJsonMode,
+  emitEvent,
+  registerSecret,
+  registerSecrets,
+  redact,
+  logPlain,
   logInfo,
   logSuccess,
   logWarn,
   logError,
   startSpinner,
   updateSpinner,
-  stopSpinner
+  stopSpinner,
+  logTaskLine,
+  setTaskStatus,
+  clearTasks
 };
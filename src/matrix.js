@@ -0,0 +1,235 @@
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const chalk = require("chalk");
+const {
+  emitEvent,
+  isJsonMode,
+  logInfo,
+  logPlain,
+  logSuccess,
+  logError,
+  logTaskLine,
+  setTaskStatus,
+  stopSpinner,
+  clearTasks
+} = require("./logger");
+const { formatDuration } = require("./format");
+
+const CLI_PATH = path.join(__dirname, "..", "bin", "htzbuild");
+const RESULT_FILE_ENV = "HTZBUILD_RESULT_FILE";
+const NON_INTERACTIVE_ENV = "HTZBUILD_NON_INTERACTIVE";
+
+function resolveMatrixProfiles(profilesOption, config) {
+  let profiles = [];
+  if (profilesOption) {
+    profiles = profilesOption.split(",");
+  } else if (config && config.matrix && Array.isArray(config.matrix.profiles)) {
+    profiles = config.matrix.profiles;
+  }
+
+  return [...new Set(profiles.map((profile) => String(profile).trim()).filter(Boolean))];
+}
+
+// Children get the profile as their first argument, so they never start a
+// matrix of their own; every other run flag is passed through unchanged.
+function buildMatrixChildArgs(runOptions) {
+  const childArgs = ["--env-folder", runOptions.envFolder];
+  if (runOptions.configFile) {
+    childArgs.push("--config", runOptions.configFile);
+  }
+  if (runOptions.dryRun) {
+    childArgs.push("--dry-run");
+  }
+  if (runOptions.keepAliveOnError) {
+    childArgs.push("--keep-alive-on-error");
+  }
+  if (runOptions.reuse) {
+    childArgs.push("--reuse");
+  }
+  if (runOptions.ephemeralKey) {
+    childArgs.push("--ephemeral-key");
+  }
+  if (runOptions.detach) {
+    childArgs.push("--detach");
+  }
+  if (runOptions.json) {
+    childArgs.push("--json");
+  }
+  if (runOptions.maxCost) {
+    childArgs.push("--max-cost", String(runOptions.maxCost));
+  }
+  return childArgs;
+}
+
+// The first failed profile decides the exit code, so a matrix run fails the
+// same way a single build of that profile would.
+function matrixExitCode(outcomes) {
+  const failed = outcomes.find((outcome) => outcome.status !== "succeeded");
+  return failed ? failed.exitCode || 1 : 0;
+}
+
+// Each matrix entry runs as a separate htzbuild process so that the builders'
+// blocking SSH/rsync calls never stall one another. Children report their
+// outcome through a small JSON file named by HTZBUILD_RESULT_FILE.
+function writeRunResult(result) {
+  const resultFile = process.env[RESULT_FILE_ENV];
+  if (!resultFile) {
+    return;
+  }
+  fs.writeFileSync(resultFile, JSON.stringify(result), "utf8");
+}
+
+function readRunResult(resultFile) {
+  try {
+    return JSON.parse(fs.readFileSync(resultFile, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Children share one terminal and get no stdin, so they are told to fail with
+// a clear error wherever a single build would stop and prompt.
+function startProfileBuild(profile, childArgs, resultDir) {
+  const resultFile = path.join(resultDir, `${profile.replace(/[^A-Za-z0-9_-]/g, "_")}.json`);
+  const startedAt = Date.now();
+  const child = childProcess.spawn(process.execPath, [CLI_PATH, profile, ...childArgs], {
+    cwd: process.cwd(),
+    env: {
+      ...process.env,
+      [RESULT_FILE_ENV]: resultFile,
+      [NON_INTERACTIVE_ENV]: "1",
+      ...(chalk.supportsColor ? { FORCE_COLOR: String(chalk.supportsColor.level) } : {})
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  // With --json the children's stdout is their event stream, which already
+  // names the profile, so it is passed through untouched.
+  const jsonMode = isJsonMode();
+  readline
+    .createInterface({ input: child.stdout })
+    .on("line", (line) => (jsonMode ? process.stdout.write(`${line}\n`) : logTaskLine(profile, line)));
+  readline.createInterface({ input: child.stderr }).on("line", (line) => logTaskLine(profile, line));
+
+  const finished = new Promise((resolve) => {
+    child.on("close", (code, signal) => {
+      const result = readRunResult(resultFile);
+      resolve({
+        profile,
+        code,
+        signal,
+        interrupted: Boolean(signal) || !result,
+        status: result ? result.status : "interrupted",
+        artifactPath: result ? result.artifactPath : null,
+        error: result ? result.error : null,
+        exitCode: result ? result.exitCode : null,
+        durationMs: result && result.durationMs ? result.durationMs : Date.now() - startedAt
+      });
+    });
+  });
+
+  return { profile, child, finished };
+}
+
+function printMatrixSummary(outcomes) {
+  const rows = outcomes.map((outcome) => [
+    outcome.profile,
+    outcome.status,
+    formatDuration(outcome.durationMs),
+    outcome.artifactPath || outcome.error || "-"
+  ]);
+  const headers = ["Profile", "Result", "Duration", "Artifact"];
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => String(row[column]).length))
+  );
+  const formatRow = (row) =>
+    row.map((cell, column) => String(cell).padEnd(widths[column])).join("  ").trimEnd();
+
+  logPlain("");
+  logPlain(chalk.bold(formatRow(headers)));
+  rows.forEach((row, index) => {
+    const color = outcomes[index].status === "succeeded" ? chalk.green : chalk.red;
+    logPlain(color(formatRow(row)));
+  });
+  logPlain("");
+}
+
+async function runMatrix(profiles, childArgs = []) {
+  const resultDir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-matrix-"));
+  logInfo(`Starting ${profiles.length} parallel builds: ${profiles.join(", ")}`);
+
+  const builds = profiles.map((profile) => startProfileBuild(profile, childArgs, resultDir));
+  builds.forEach(({ profile }) => setTaskStatus(profile, "running"));
+
+  let interrupted = false;
+  const stopAll = (reason) => {
+    if (interrupted) {
+      return;
+    }
+    interrupted = true;
+    logError(`${reason}; stopping all builds and cleaning up their servers...`);
+    builds.forEach(({ child }) => {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill("SIGTERM");
+      }
+    });
+  };
+  const onSignal = () => stopAll("Interrupted");
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  let outcomes;
+  try {
+    outcomes = await Promise.all(
+      builds.map(({ finished }) =>
+        finished.then((outcome) => {
+          setTaskStatus(outcome.profile, outcome.status);
+          if (outcome.interrupted) {
+            stopAll(`Build for ${outcome.profile} was interrupted`);
+          }
+          return outcome;
+        })
+      )
+    );
+  } finally {
+    process.removeListener("SIGINT", onSignal);
+    process.removeListener("SIGTERM", onSignal);
+    stopSpinner(!interrupted);
+    clearTasks();
+    fs.rmSync(resultDir, { recursive: true, force: true });
+  }
+
+  printMatrixSummary(outcomes);
+  emitEvent("matrix_finished", {
+    results: outcomes.map(({ profile, status, durationMs, artifactPath, error, exitCode }) => ({
+      profile,
+      status,
+      durationMs,
+      artifactPath,
+      error,
+      exitCode
+    }))
+  });
+  const failed = outcomes.filter((outcome) => outcome.status !== "succeeded");
+  if (failed.length) {
+    logError(`${failed.length} of ${outcomes.length} builds failed`);
+  } else {
+    logSuccess(`All ${outcomes.length} builds succeeded`);
+  }
+
+  return outcomes;
+}
+
+module.exports = {
+  RESULT_FILE_ENV,
+  NON_INTERACTIVE_ENV,
+  resolveMatrixProfiles,
+  buildMatrixChildArgs,
+  matrixExitCode,
+  writeRunResult,
+  printMatrixSummary,
+  runMatrix
+};
@@ -0,0 +1,83 @@
+const { DEFAULT_CONFIG } = require("./configLoader");
+
+const NETWORK_MODES = ["ipv4", "ipv6-only", "private"];
+
+const DRY_RUN_ADDRESSES = {
+  ipv4: "1.2.3.4",
+  "ipv6-only": "2001:db8::1",
+  private: "10.0.0.2"
+};
+
+function resolveNetworkSettings(config) {
+  const settings = { ...DEFAULT_CONFIG.network, ...((config && config.network) || {}) };
+  if (!NETWORK_MODES.includes(settings.mode)) {
+    throw new Error(
+      `Invalid network.mode "${settings.mode}" (expected one of: ${NETWORK_MODES.join(", ")})`
+    );
+  }
+  if (settings.mode === "private" && !settings.privateNetwork) {
+    throw new Error('network.mode "private" requires network.privateNetwork');
+  }
+  return settings;
+}
+
+// Hetzner assigns a /64 to every server; the server itself answers on ::1.
+function ipv6HostAddress(network) {
+  if (!network) {
+    return null;
+  }
+  const [prefix] = network.split("/");
+  return prefix.endsWith("::") ? `${prefix}1` : prefix;
+}
+
+function serverAddress(server, settings, networkId = null) {
+  if (settings.mode === "private") {
+    const entries = server.private_net || [];
+    const entry = networkId
+      ? entries.find((candidate) => String(candidate.network) === String(networkId))
+      : entries[0];
+    return (entry && entry.ip) || null;
+  }
+
+  const publicNet = server.public_net || {};
+  if (settings.mode === "ipv6-only") {
+    return ipv6HostAddress(publicNet.ipv6 && publicNet.ipv6.ip);
+  }
+  return (publicNet.ipv4 && publicNet.ipv4.ip) || null;
+}
+
+function dryRunAddress(settings) {
+  return DRY_RUN_ADDRESSES[settings.mode];
+}
+
+// scp and rsync split "host:path" on the first colon, so IPv6 hosts need
+// brackets there; ssh itself takes the bare address.
+function formatRemoteHost(address) {
+  return address && address.includes(":") ? `[${address}]` : address;
+}
+
+function publicNetPayload(settings) {
+  return settings.mode === "ipv6-only" ? { enable_ipv4: false, enable_ipv6: true } : undefined;
+}
+
+async function resolvePrivateNetworkId(client, reference) {
+  if (/^\d+$/.test(String(reference))) {
+    return Number(reference);
+  }
+  const [network] = await client.listNetworks(null, { name: reference });
+  if (!network) {
+    throw new Error(`Private network "${reference}" not found`);
+  }
+  return network.id;
+}
+
+module.exports = {
+  NETWORK_MODES,
+  resolveNetworkSettings,
+  ipv6HostAddress,
+  serverAddress,
+  dryRunAddress,
+  formatRemoteHost,
+  publicNetPayload,
+  resolvePrivateNetworkId
+};
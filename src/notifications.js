@@ -0,0 +1,165 @@
+const { DEFAULT_CONFIG } = require("./configLoader");
+const { logInfo, logWarn, redact } = require("./logger");
+const { formatDuration } = require("./format");
+
+const NOTIFICATION_FORMATS = ["generic", "slack", "discord"];
+const NOTIFICATION_EVENTS = ["succeeded", "failed", "cancelled"];
+const DISCORD_CONTENT_LIMIT = 2000;
+const SLACK_TEXT_LIMIT = 3000;
+
+// A webhook whose urlEnv is unset is skipped, not fatal: notifications are
+// optional and the variable is often only set in CI.
+function resolveNotificationSettings(config, env) {
+  const settings = { ...DEFAULT_CONFIG.notifications, ...((config && config.notifications) || {}) };
+  const webhooks = (settings.webhooks || []).map((webhook, index) => {
+    const name = `notifications.webhooks[${index}]`;
+    if (!webhook.urlEnv && !webhook.url) {
+      throw new Error(`${name} requires a url or urlEnv`);
+    }
+    const format = webhook.format || "generic";
+    if (!NOTIFICATION_FORMATS.includes(format)) {
+      throw new Error(
+        `${name}: invalid format "${format}" (expected one of: ${NOTIFICATION_FORMATS.join(", ")})`
+      );
+    }
+    const on = webhook.on || settings.on;
+    const unknown = on.filter((event) => !NOTIFICATION_EVENTS.includes(event));
+    if (unknown.length) {
+      throw new Error(`${name}: unknown event(s) ${unknown.join(", ")} (expected: ${NOTIFICATION_EVENTS.join(", ")})`);
+    }
+    const url = webhook.urlEnv ? env[webhook.urlEnv] : webhook.url;
+    if (!url) {
+      logWarn(`${name}: ${webhook.urlEnv} is not set; skipping this webhook`);
+      return null;
+    }
+    return { url, format, on, headers: webhook.headers || {}, template: webhook.template || null };
+  });
+  return { ...settings, webhooks: webhooks.filter(Boolean) };
+}
+
+// Placeholders available to custom templates; keys match the generic payload.
+function templateVars(context) {
+  return {
+    STATUS: context.status,
+    PROFILE: context.profile,
+    PROJECT: context.project || "",
+    DURATION: formatDuration(context.durationMs),
+    SERVER_TYPE: context.serverType || "",
+    LOCATION: context.location || "",
+    ARTIFACT: context.artifactPath || "",
+    UPLOAD_URL: context.uploadUrl || "",
+    GIT_SHA: context.gitCommit || "",
+    ERROR: context.error || "",
+    FAILED_PHASE: context.failedPhase || "",
+    LOG_TAIL: context.logTail.join("\n"),
+    HISTORY_ID: context.historyId || ""
+  };
+}
+
+function renderTemplate(value, vars) {
+  if (typeof value === "string") {
+    return value.replace(/\${([A-Z_]+)}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => renderTemplate(item, vars));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, vars)]));
+  }
+  return value;
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+function summaryText(context) {
+  const icon = { succeeded: "✅", cancelled: "⏹️" }[context.status] || "❌";
+  const lines = [
+    `${icon} htzbuild ${context.profile} build ${context.status} in ${formatDuration(context.durationMs)} (${context.serverType} @ ${context.location})`
+  ];
+  if (context.uploadUrl || context.artifactPath) {
+    lines.push(`Artifact: ${context.uploadUrl || context.artifactPath}`);
+  }
+  if (context.error) {
+    lines.push(`Error${context.failedPhase ? ` in ${context.failedPhase}` : ""}: ${context.error}`);
+  }
+  return lines.join("\n");
+}
+
+// Chat services cap message sizes, so the log tail gives way to the summary.
+function chatText(context, limit) {
+  const summary = truncate(summaryText(context), limit);
+  if (!context.logTail.length) {
+    return summary;
+  }
+  const room = limit - summary.length - "\n```\n\n```".length;
+  if (room < 200) {
+    return summary;
+  }
+  const log = context.logTail.join("\n");
+  return `${summary}\n\`\`\`\n${log.length > room ? log.slice(log.length - room) : log}\n\`\`\``;
+}
+
+function renderPayload(webhook, context) {
+  if (webhook.template) {
+    return renderTemplate(webhook.template, templateVars(context));
+  }
+  if (webhook.format === "slack") {
+    return { text: chatText(context, SLACK_TEXT_LIMIT) };
+  }
+  if (webhook.format === "discord") {
+    return { content: chatText(context, DISCORD_CONTENT_LIMIT) };
+  }
+  return { event: `build_${context.status}`, ...context };
+}
+
+// Delivery problems are reported and swallowed: a broken webhook must never
+// turn a finished build into a failed one.
+async function sendNotifications(settings, context, options = {}) {
+  const { dryRun = false, fetchImpl = fetch } = options;
+  const webhooks = settings.webhooks.filter((webhook) => webhook.on.includes(context.status));
+  if (!webhooks.length) {
+    return [];
+  }
+  const safeContext = {
+    ...context,
+    error: context.error ? redact(context.error) : null,
+    logTail: context.logTail.map((line) => redact(line))
+  };
+
+  if (dryRun) {
+    logInfo(`[DRY-RUN] Would notify ${webhooks.length} webhook(s) that the build ${context.status}`);
+    return [];
+  }
+
+  return Promise.all(
+    webhooks.map(async (webhook) => {
+      try {
+        const response = await fetchImpl(webhook.url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...webhook.headers },
+          body: JSON.stringify(renderPayload(webhook, safeContext)),
+          signal: AbortSignal.timeout(settings.timeoutMs)
+        });
+        if (!response.ok) {
+          throw new Error(`responded with status ${response.status}`);
+        }
+        return { format: webhook.format, ok: true };
+      } catch (error) {
+        logWarn(`Could not deliver ${webhook.format} notification: ${redact(error.message)}`);
+        return { format: webhook.format, ok: false };
+      }
+    })
+  );
+}
+
+module.exports = {
+  NOTIFICATION_FORMATS,
+  NOTIFICATION_EVENTS,
+  resolveNotificationSettings,
+  templateVars,
+  renderTemplate,
+  renderPayload,
+  sendNotifications
+};
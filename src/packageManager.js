@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+const { quoteShellArg } = require("./shell");
+
+// Checked in this order when package.json has no packageManager field.
+const LOCKFILES = [
+  { file: "pnpm-lock.yaml", name: "pnpm" },
+  { file: "yarn.lock", name: "yarn" },
+  { file: "bun.lockb", name: "bun" },
+  { file: "bun.lock", name: "bun" },
+  { file: "package-lock.json", name: "npm" },
+  { file: "npm-shrinkwrap.json", name: "npm" }
+];
+
+const COREPACK_MANAGERS = ["yarn", "pnpm"];
+
+function readPackageManagerField(projectDir) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(projectDir, "package.json"), "utf8"));
+    const match = /^(npm|yarn|pnpm|bun)@(.+)$/.exec(pkg.packageManager || "");
+    return match ? { name: match[1], version: match[2] } : null;
+  } catch {
+    return null;
+  }
+}
+
+// The packageManager field wins over lockfiles, like corepack itself; without
+// either the builder falls back to npm.
+function detectPackageManager(projectDir) {
+  const lockfiles = LOCKFILES.filter(({ file }) => fs.existsSync(path.join(projectDir, file)));
+  const field = readPackageManagerField(projectDir);
+  const name = field ? field.name : lockfiles.length ? lockfiles[0].name : "npm";
+  const lockfile = lockfiles.find((entry) => entry.name === name);
+
+  return {
+    name,
+    version: field ? field.version : null,
+    lockfile: lockfile ? lockfile.file : null,
+    otherLockfiles: lockfiles.filter((entry) => entry.name !== name).map((entry) => entry.file),
+    yarnBerry:
+      name === "yarn" &&
+      (field ? parseInt(field.version, 10) >= 2 : fs.existsSync(path.join(projectDir, ".yarnrc.yml")))
+  };
+}
+
+// Frozen installs fail without a lockfile, so they are only used when one exists.
+function installCommandFor(detected) {
+  const frozen = Boolean(detected.lockfile);
+  switch (detected.name) {
+    case "yarn":
+      if (!frozen) {
+        return "yarn install";
+      }
+      return detected.yarnBerry ? "yarn install --immutable" : "yarn install --frozen-lockfile";
+    case "pnpm":
+      return frozen ? "pnpm install --frozen-lockfile" : "pnpm install";
+    case "bun":
+      return frozen ? "bun install --frozen-lockfile" : "bun install";
+    default:
+      return frozen ? "npm ci" : "npm install";
+  }
+}
+
+// Node on the builder ships corepack, which provides the pinned yarn or pnpm
+// release; bun is not covered by corepack and comes from npm instead.
+function setupCommandsFor(detected) {
+  if (COREPACK_MANAGERS.includes(detected.name)) {
+    return ["corepack enable"];
+  }
+  if (detected.name === "bun") {
+    const spec = quoteShellArg(`bun@${detected.version || "latest"}`);
+    return [`command -v bun >/dev/null 2>&1 || npm install -g ${spec}`];
+  }
+  return [];
+}
+
+function packageManagerEnvScript(detected) {
+  return COREPACK_MANAGERS.includes(detected.name) ? ["export COREPACK_ENABLE_DOWNLOAD_PROMPT=0"] : [];
+}
+
+function resolveInstallPlan(config, projectDir) {
+  const detected = detectPackageManager(projectDir);
+  return {
+    ...detected,
+    command: (config && config.installCommand) || installCommandFor(detected),
+    setup: setupCommandsFor(detected)
+  };
+}
+
+module.exports = {
+  LOCKFILES,
+  detectPackageManager,
+  installCommandFor,
+  setupCommandsFor,
+  packageManagerEnvScript,
+  resolveInstallPlan
+};
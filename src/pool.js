@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const { logInfo, logSuccess, logWarn } = require("./logger");
+
+const POOL_LABEL = "htzbuild-pool";
+const POOL_LABEL_VALUE = "builder";
+const POOL_STATE_LABEL = "htzbuild-pool-state";
+const IDLE_UNTIL_LABEL = "htzbuild-idle-until";
+const CLAIM_LABEL = "htzbuild-pool-claim";
+const CLAIMED_AT_LABEL = "htzbuild-claimed-at";
+const DEFAULT_IDLE_MINUTES = 30;
+const CLAIM_SETTLE_MS = 2000;
+
+function poolLabels(state, idleUntil) {
+  const labels = {
+    [POOL_LABEL]: POOL_LABEL_VALUE,
+    [POOL_STATE_LABEL]: state
+  };
+  if (idleUntil) {
+    labels[IDLE_UNTIL_LABEL] = String(Math.floor(idleUntil / 1000));
+  }
+  return labels;
+}
+
+function idleDeadline(server) {
+  const value = server.labels && server.labels[IDLE_UNTIL_LABEL];
+  return value ? Number(value) * 1000 : null;
+}
+
+function isExpired(server, now = Date.now()) {
+  if (server.status === "off") {
+    return true;
+  }
+  const deadline = idleDeadline(server);
+  return Boolean(deadline && deadline <= now);
+}
+
+function isIdle(server) {
+  return Boolean(server.labels && server.labels[POOL_STATE_LABEL] === "idle");
+}
+
+function withoutPoolLabels(labels = {}) {
+  const remaining = { ...labels };
+  delete remaining[POOL_STATE_LABEL];
+  delete remaining[IDLE_UNTIL_LABEL];
+  delete remaining[CLAIM_LABEL];
+  delete remaining[CLAIMED_AT_LABEL];
+  return remaining;
+}
+
+function listPooledServers(client) {
+  return client.listServers({ [POOL_LABEL]: POOL_LABEL_VALUE });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// serverType and location may be ordered preference lists; idle servers are
+// tried from the highest rank down (server type first, then location).
+//
+// Labels are last-writer-wins, so a claim writes a unique token, waits for
+// concurrent claims of the same server to land and re-reads the server. Only
+// the run whose token is still there owns it; the others try the next server.
+async function acquirePooledServer(client, { serverType, location, settleMs = CLAIM_SETTLE_MS }) {
+  const serverTypes = [].concat(serverType);
+  const locations = [].concat(location);
+  const servers = await listPooledServers(client);
+  const candidates = [];
+
+  for (const server of servers) {
+    if (!isIdle(server)) {
+      continue;
+    }
+
+    if (isExpired(server)) {
+      logInfo(`Deleting expired pooled server ${server.name} (ID: ${server.id})`);
+      try {
+        await client.deleteServer(server.id);
+      } catch (error) {
+        logWarn(`Failed to delete expired server ${server.id}: ${error.message}`);
+      }
+      continue;
+    }
+
+    const typeRank = serverTypes.indexOf(server.server_type && server.server_type.name);
+    const locationRank = locations.indexOf(
+      server.datacenter && server.datacenter.location && server.datacenter.location.name
+    );
+    if (typeRank === -1 || locationRank === -1 || server.status !== "running") {
+      continue;
+    }
+
+    candidates.push({ server, rank: typeRank * locations.length + locationRank });
+  }
+
+  candidates.sort((a, b) => a.rank - b.rank);
+
+  for (const { server } of candidates) {
+    const token = crypto.randomBytes(8).toString("hex");
+    await client.updateServer(server.id, {
+      labels: {
+        ...withoutPoolLabels(server.labels),
+        ...poolLabels("busy"),
+        [CLAIM_LABEL]: token,
+        [CLAIMED_AT_LABEL]: String(Math.floor(Date.now() / 1000))
+      }
+    });
+    await delay(settleMs);
+
+    const claimed = await client.getServer(server.id);
+    if (claimed && claimed.labels && claimed.labels[CLAIM_LABEL] === token) {
+      return claimed;
+    }
+    logInfo(`Pooled server ${server.name} was claimed by another build; trying the next one.`);
+  }
+
+  return null;
+}
+
+async function releasePooledServer(client, server, idleMinutes = DEFAULT_IDLE_MINUTES) {
+  const idleUntil = Date.now() + idleMinutes * 60 * 1000;
+  await client.updateServer(server.id, {
+    labels: { ...withoutPoolLabels(server.labels), ...poolLabels("idle", idleUntil) }
+  });
+  return idleUntil;
+}
+
+async function destroyPooledServers(client, options = {}) {
+  const { all = false, ids = [] } = options;
+  const servers = await listPooledServers(client);
+  const destroyed = [];
+
+  for (const server of servers) {
+    if (ids.length && !ids.includes(String(server.id)) && !ids.includes(server.name)) {
+      continue;
+    }
+    if (!ids.length && !all && !isIdle(server)) {
+      logInfo(`Skipping busy server ${server.name} (use --all to destroy it too)`);
+      continue;
+    }
+
+    try {
+      await client.deleteServer(server.id);
+      logSuccess(`Destroyed ${server.name} (ID: ${server.id})`);
+      destroyed.push(server);
+    } catch (error) {
+      logWarn(`Failed to destroy ${server.name}: ${error.message}`);
+    }
+  }
+
+  return destroyed;
+}
+
+module.exports = {
+  POOL_LABEL,
+  POOL_STATE_LABEL,
+  CLAIM_LABEL,
+  CLAIMED_AT_LABEL,
+  DEFAULT_IDLE_MINUTES,
+  poolLabels,
+  idleDeadline,
+  isExpired,
+  isIdle,
+  listPooledServers,
+  acquirePooledServer,
+  releasePooledServer,
+  destroyPooledServers
+};
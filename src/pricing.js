@@ -0,0 +1,135 @@
+const { DEFAULT_CONFIG } = require("./configLoader");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Approximate net list prices in EUR per hour for the EU locations. The live
+// price from the Hetzner API wins when it is reachable, and entries under
+// pricing.hourly in htzbuild.config.json win over both.
+const DEFAULT_HOURLY_PRICES = {
+  cx22: 0.006,
+  cx32: 0.011,
+  cx42: 0.026,
+  cx52: 0.053,
+  cpx11: 0.007,
+  cpx21: 0.013,
+  cpx31: 0.024,
+  cpx41: 0.044,
+  cpx51: 0.084,
+  cpx12: 0.008,
+  cpx22: 0.012,
+  cpx32: 0.021,
+  cpx42: 0.035,
+  cpx52: 0.05,
+  cpx62: 0.07,
+  cax11: 0.006,
+  cax21: 0.011,
+  cax31: 0.021,
+  cax41: 0.042,
+  ccx13: 0.021,
+  ccx23: 0.042,
+  ccx33: 0.084,
+  ccx43: 0.167,
+  ccx53: 0.333,
+  ccx63: 0.499
+};
+
+function resolvePricingSettings(config) {
+  const pricing = (config && config.pricing) || {};
+  const budget = (config && config.budget) || {};
+  return {
+    ...DEFAULT_CONFIG.pricing,
+    ...pricing,
+    hourly: { ...DEFAULT_CONFIG.pricing.hourly, ...(pricing.hourly || {}) },
+    maxCost: budget.maxCost === undefined ? DEFAULT_CONFIG.budget.maxCost : budget.maxCost
+  };
+}
+
+// A price entry is either a number or { default, <location>: number }.
+function lookupPrice(entry, location) {
+  if (typeof entry === "number") {
+    return entry;
+  }
+  if (entry && typeof entry === "object") {
+    const price = entry[location] !== undefined ? entry[location] : entry.default;
+    return typeof price === "number" ? price : null;
+  }
+  return null;
+}
+
+async function resolveHourlyPrice(client, settings, serverType, location) {
+  const configured = lookupPrice(settings.hourly[serverType], location);
+  if (configured !== null) {
+    return { hourly: configured, currency: settings.currency, source: "config" };
+  }
+
+  if (client) {
+    try {
+      const [type] = await client.listServerTypes({ name: serverType });
+      const price = type && type.prices.find((entry) => entry.location === location);
+      if (price) {
+        return { hourly: Number(price.price_hourly.net), currency: "EUR", source: "api" };
+      }
+    } catch {
+      // Fall back to the built-in table
+    }
+  }
+
+  const listed = lookupPrice(DEFAULT_HOURLY_PRICES[serverType], location);
+  if (listed !== null) {
+    return { hourly: listed, currency: "EUR", source: "table" };
+  }
+  return null;
+}
+
+// Hetzner bills every started hour of a server's lifetime.
+function billedHours(durationMs) {
+  return Math.max(1, Math.ceil(durationMs / HOUR_MS));
+}
+
+function billedCost(price, durationMs) {
+  return roundCost(price.hourly * billedHours(durationMs));
+}
+
+function proratedCost(price, durationMs) {
+  return roundCost((price.hourly * durationMs) / HOUR_MS);
+}
+
+function roundCost(amount) {
+  return Number(amount.toFixed(4));
+}
+
+function formatCost(amount, currency = "EUR") {
+  if (amount === null || amount === undefined) {
+    return "-";
+  }
+  return `${amount.toFixed(2)} ${currency}`;
+}
+
+// How long a server may live before its next billed hour would exceed the budget.
+function budgetLifetimeMs(price, maxCost) {
+  if (!price || !maxCost || price.hourly <= 0) {
+    return null;
+  }
+  return Math.floor(maxCost / price.hourly) * HOUR_MS;
+}
+
+function medianDuration(durations) {
+  if (!durations.length) {
+    return null;
+  }
+  const sorted = [...durations].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+module.exports = {
+  HOUR_MS,
+  DEFAULT_HOURLY_PRICES,
+  resolvePricingSettings,
+  resolveHourlyPrice,
+  billedHours,
+  billedCost,
+  proratedCost,
+  formatCost,
+  budgetLifetimeMs,
+  medianDuration
+};
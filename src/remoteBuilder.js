@@ -1,9 +1,15 @@
 const childProcess = require("child_process");
+const crypto = require("crypto");
 const fs = require("fs");
 const os = require("os");
 const path = require("path");
 const {
+  emitEvent,
+  isJsonMode,
   logInfo,
+  logPlain,
+  redact,
+  registerSecrets,
   logSuccess,
   logWarn,
   logError,
@@ -12,11 +18,155 @@ const {
   stopSpinner
 } = require("./logger");
 const { DEFAULT_CONFIG } = require("./configLoader");
+const { HcloudApiError, HcloudClient, isCapacityError, sanitizeLabelValue } = require("./hcloudClient");
+const {
+  HOST_KEY_LABEL,
+  combineUserData,
+  decodeHostKeyLabel,
+  encodeHostKeyLabel,
+  generateHostKeyPair,
+  hostKeyCloudConfig,
+  hostKeyFingerprint,
+  writeKnownHosts
+} = require("./hostKeys");
+const { findSnapshotForHash, hashCloudInitFile } = require("./images");
+const {
+  DEFAULT_IDLE_MINUTES,
+  acquirePooledServer,
+  poolLabels,
+  releasePooledServer
+} = require("./pool");
+const {
+  DEFAULT_MAX_AGE,
+  DETACHED_UNTIL_LABEL,
+  builderLabels,
+  describeServer,
+  findOrphanedServers,
+  parseDuration
+} = require("./gc");
+const {
+  BUILD_PHASES,
+  buildLaunchCommands,
+  buildStatusPollCommand,
+  buildStopCommand,
+  parseBuildStatusPoll,
+  pidFileFor,
+  renderBuildWrapper
+} = require("./buildStatus");
+const { quoteShellArg } = require("./shell");
+const { resolveDetachedDir, saveDetachedBuild } = require("./detached");
+const {
+  WATCHDOG_TOKEN_FILE,
+  heartbeatCommand,
+  heartbeatLoopScript,
+  renderWatchdogScript,
+  resolveWatchdogSettings,
+  watchdogAuthHeader,
+  watchdogStartCommand,
+  watchdogStopCommand
+} = require("./watchdog");
+const {
+  createShallowGitDir,
+  gitTopLevel,
+  listGitFiles,
+  loadIgnoreRules,
+  resolveSyncSettings
+} = require("./sync");
+const {
+  remoteAppDir,
+  resolveRemotePath,
+  resolveSyncExcludes,
+  resolveWorkspaceSettings
+} = require("./workspace");
+const { packageManagerEnvScript, resolveInstallPlan } = require("./packageManager");
+const {
+  DEPS_MARKER,
+  DEPS_TARBALL,
+  GET_URL_VAR,
+  PUT_URL_VAR,
+  depsCacheKey,
+  localTarballPath,
+  parseRuntime,
+  pruneLocalCache,
+  resolveDepsCacheSettings,
+  restoreCommands,
+  runtimeCommand,
+  saveCommands,
+  skipInstallCommand
+} = require("./depsCache");
+const { presignUrl, resolveS3Settings } = require("./s3");
+const {
+  presignUpload,
+  remoteChecksumCommand,
+  renderUploadKey,
+  resolveUploadSettings,
+  uploadCommand
+} = require("./upload");
+const { resolveNotificationSettings, sendNotifications } = require("./notifications");
+const { NON_INTERACTIVE_ENV } = require("./matrix");
+const {
+  dryRunAddress,
+  formatRemoteHost,
+  publicNetPayload,
+  resolveNetworkSettings,
+  resolvePrivateNetworkId,
+  serverAddress
+} = require("./network");
+const {
+  ensureFirewall,
+  releaseFirewall,
+  resolveAllowedCidrs,
+  resolveFirewallSettings
+} = require("./firewall");
+const {
+  EPHEMERAL_KEY_LABEL,
+  EPHEMERAL_KEY_LABEL_VALUE,
+  SERVER_LABEL,
+  generateClientKey,
+  removeClientKey
+} = require("./sshKeys");
+const {
+  cacheEnvScript,
+  cacheMountScript,
+  cacheUnmountScript,
+  ensureCacheVolume,
+  resolveCacheSettings,
+  volumeNameFor
+} = require("./cache");
+const { BuildError, toBuildError } = require("./errors");
+const {
+  collectBuildEnv,
+  collectSecretValues,
+  renderEnvFile,
+  resolveBuildEnvSettings
+} = require("./buildEnv");
+const {
+  appendHistory,
+  createHistoryId,
+  loadHistory,
+  resolveGitCommit
+} = require("./history");
+const {
+  billedCost,
+  billedHours,
+  budgetLifetimeMs,
+  formatCost,
+  medianDuration,
+  proratedCost,
+  resolveHourlyPrice,
+  resolvePricingSettings
+} = require("./pricing");
 const readline = require("readline");
 
 const DEFAULT_IMAGE = "ubuntu-24.04";
+const DEFAULT_SERVER_TYPE = "cpx52";
+const DEFAULT_LOCATION = "fsn1";
 const DEFAULT_MAX_BUILD_MINUTES = 60;
 const BUILD_POLL_INTERVAL_MS = 5000;
+const MAX_FAILED_STATUS_POLLS = 12;
+const BUDGET_MARGIN_MS = 2 * 60 * 1000;
+const PROVISIONING_ALLOWANCE_MS = 10 * 60 * 1000;
+const EXIT_DELETE_WAIT_MS = 60 * 1000;
 
 function resolveHome(filePath) {
   if (!filePath) {
@@ -30,26 +180,76 @@ function resolveHome(filePath) {
   return filePath;
 }
 
-function quoteShellArg(value) {
-  if (/^[A-Za-z0-9_./=-]+$/.test(value)) {
-    return value;
+function resolveProjectName(projectDir) {
+  try {
+    const packageJson = JSON.parse(
+      fs.readFileSync(path.join(projectDir, "package.json"), "utf8")
+    );
+    if (packageJson.name) {
+      return packageJson.name;
+    }
+  } catch {
+    // Fall back to the directory name
   }
+  return path.basename(projectDir);
+}
+
+// The env variable (which may itself be a comma-separated list) goes first and
+// the config list supplies the fallbacks.
+function resolveCandidates(envValue, configured, fallback) {
+  const values = [
+    ...(envValue ? String(envValue).split(",") : []),
+    ...(Array.isArray(configured) ? configured : [])
+  ]
+    .map((value) => String(value).trim())
+    .filter(Boolean);
+  return values.length ? [...new Set(values)] : [fallback];
+}
 
-  return `'${value.replace(/'/g, "'\\''")}'`;
+function sha256File(filePath) {
+  const hash = crypto.createHash("sha256");
+  const buffer = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest("hex");
 }
 
 class RemoteBuilder {
   constructor(profile, env, config = DEFAULT_CONFIG, options = {}) {
     this.profile = profile;
     this.env = env;
-    this.options = options; // { dryRun, keepAliveOnError }
+    this.options = options; // { dryRun, keepAliveOnError, reuse, detach, maxCost }
     this.config = config || DEFAULT_CONFIG; // Moved up
-    this.projectDir = process.cwd();
+    const workspace = resolveWorkspaceSettings(this.config);
+    this.workspaceRoot = workspace.workspaceRoot;
+    this.appDir = workspace.appDir;
+    this.projectDir = workspace.appPath;
+    this.projectName = resolveProjectName(this.projectDir);
     this.buildOutputDir = path.join(this.projectDir, "build-output");
-    this.serverName = `eas-builder-${Date.now()}`;
-    this.serverType = env.HETZNER_SERVER_TYPE || "cpx52";
-    this.location = env.HETZNER_LOCATION || "fsn1";
+    const nameSuffix = `${String(profile).toLowerCase().replace(/[^a-z0-9-]+/g, "-")}-${Date.now()}`;
+    this.serverName = options.reuse
+      ? `htzbuild-pool-${nameSuffix}`
+      : `eas-builder-${nameSuffix}`;
+    this.serverTypes = resolveCandidates(
+      env.HETZNER_SERVER_TYPE,
+      this.config.serverTypes,
+      DEFAULT_SERVER_TYPE
+    );
+    this.locations = resolveCandidates(env.HETZNER_LOCATION, this.config.locations, DEFAULT_LOCATION);
+    this.serverType = this.serverTypes[0];
+    this.location = this.locations[0];
     this.image = env.HCLOUD_IMAGE || this.config.image || DEFAULT_IMAGE; // Now safe
+    this.useSnapshots =
+      options.useSnapshots !== false &&
+      this.config.useSnapshots !== false &&
+      !env.HCLOUD_IMAGE;
     this.maxBuildDurationMs =
       Number(env.HETZNER_MAX_BUILD_MINUTES || DEFAULT_MAX_BUILD_MINUTES) *
       60 *
@@ -60,34 +260,75 @@ class RemoteBuilder {
     this.sshKeyFile = resolveHome(
       env.HETZNER_SSH_KEY_FILE || path.join(os.homedir(), ".ssh", "id_hetzner")
     );
-    this.sshArgs = [
-      "-o",
-      "StrictHostKeyChecking=no",
-      "-o",
-      "UserKnownHostsFile=/dev/null",
-      "-o",
-      "ServerAliveInterval=60",
-      "-o",
-      "ServerAliveCountMax=3",
-      "-i",
-      this.sshKeyFile
-    ];
+    this.useEphemeralKey = Boolean(options.ephemeralKey || this.config.ephemeralSshKey);
+    this.nonInteractive = env[NON_INTERACTIVE_ENV] === "1";
+    this.ephemeralKey = null;
+    this.pinHostKeys = this.config.pinHostKeys !== false;
+    this.hostPublicKey = null;
+    this.knownHostsFile = null;
+    this.hcloud = HcloudClient.fromEnv(env);
     this.serverId = null;
     this.serverIp = null;
+    this.buildServerId = null;
+    this.pooledServer = null;
+    this.reusedServer = false;
+    this.poolIdleMinutes =
+      (this.config.pool && this.config.pool.idleMinutes) || DEFAULT_IDLE_MINUTES;
+    this.cacheSettings = resolveCacheSettings(this.config);
+    this.depsCacheSettings = resolveDepsCacheSettings(this.config);
+    this.depsCache = null;
+    this.uploadSettings = null;
+    this.upload = null;
+    this.notificationSettings = null;
+    this.networkSettings = resolveNetworkSettings(this.config);
+    this.privateNetworkId = null;
+    this.firewallSettings = resolveFirewallSettings(this.config, env, this.networkSettings);
+    this.firewall = null;
+    this.watchdogSettings = resolveWatchdogSettings(this.config);
+    this.watchdogActive = false;
+    this.heartbeatProcess = null;
+    this.cacheVolume = null;
+    this.cacheMounted = false;
     this.cleanupRegistered = false;
-    this.expoTokenLength = env.EXPO_TOKEN ? env.EXPO_TOKEN.length : 0;
+    this.buildEnvSettings = resolveBuildEnvSettings(this.config, profile);
+    registerSecrets(collectSecretValues(env, this.config, this.buildEnvSettings));
     this.artifactName = null;
+    this.artifactSha256 = null;
+    this.artifactSizeBytes = null;
+    this.buildStatus = null;
+    this.buildStartedAt = null;
+    this.currentPhase = null;
+    this.phaseDurations = {};
+    this.historyId = createHistoryId();
+    this.runStartedAt = null;
+    this.pricingSettings = resolvePricingSettings(this.config);
+    this.maxCost =
+      options.maxCost !== undefined && options.maxCost !== null
+        ? options.maxCost
+        : this.pricingSettings.maxCost;
+    this.price = null;
+    this.serverCreatedAt = null;
+    this.budgetDeadline = null;
 
     // this.config = config || DEFAULT_CONFIG; // Removed from here
-    this.syncExcludes = this.config.syncExcludes || DEFAULT_CONFIG.syncExcludes;
+    this.syncExcludes = resolveSyncExcludes(
+      this.config.syncExcludes || DEFAULT_CONFIG.syncExcludes,
+      this.appDir
+    );
+    this.syncSettings = resolveSyncSettings(this.config);
+    this.gitInfo = null;
+    this.gitMetadataSynced = false;
     this.remoteProjectDir =
       this.config.remoteProjectDir || DEFAULT_CONFIG.remoteProjectDir;
+    this.remoteAppDir = remoteAppDir(this.remoteProjectDir, this.appDir);
     this.remoteEnvFile =
       this.config.remoteEnvFile || DEFAULT_CONFIG.remoteEnvFile;
     this.remoteLogPath =
       this.config.remoteLogPath || DEFAULT_CONFIG.remoteLogPath;
     this.remoteStatusFile =
       this.config.remoteStatusFile || DEFAULT_CONFIG.remoteStatusFile;
+    this.remoteBuildScript =
+      this.config.remoteBuildScript || DEFAULT_CONFIG.remoteBuildScript;
     this.artifactMapping =
       this.config.artifactForProfile || DEFAULT_CONFIG.artifactForProfile;
     this.artifactCandidates =
@@ -95,6 +336,56 @@ class RemoteBuilder {
     this.envScript = this.config.envScript || DEFAULT_CONFIG.envScript;
     this.buildCommand =
       this.config.buildCommand || DEFAULT_CONFIG.buildCommand;
+    this.installPlan = resolveInstallPlan(this.config, this.workspaceRoot);
+  }
+
+  get sshArgs() {
+    const { jumpHost } = this.networkSettings;
+    return [
+      ...this.hostKeyArgs(),
+      ...(this.nonInteractive ? ["-o", "BatchMode=yes"] : []),
+      ...(jumpHost ? ["-o", `ProxyJump=${jumpHost}`] : []),
+      "-o",
+      "ServerAliveInterval=60",
+      "-o",
+      "ServerAliveCountMax=3",
+      "-i",
+      this.sshKeyFile
+    ];
+  }
+
+  hostKeyArgs() {
+    if (!this.knownHostsFile) {
+      return ["-o", "StrictHostKeyChecking=no", "-o", "UserKnownHostsFile=/dev/null"];
+    }
+    return [
+      "-o",
+      `StrictHostKeyChecking=${this.hostPublicKey ? "yes" : "accept-new"}`,
+      "-o",
+      `UserKnownHostsFile=${this.knownHostsFile}`,
+      "-o",
+      "GlobalKnownHostsFile=/dev/null"
+    ];
+  }
+
+  // Without a public key the file starts empty and the first key the server
+  // presents is trusted for the rest of the run.
+  pinHostKey(publicKey) {
+    if (!this.knownHostsFile) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-ssh-"));
+      process.once("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+      this.knownHostsFile = path.join(dir, "known_hosts");
+    }
+    this.hostPublicKey = publicKey || null;
+    writeKnownHosts(this.knownHostsFile, this.serverIp, this.hostPublicKey);
+  }
+
+  get sshTarget() {
+    return `root@${this.serverIp}`;
+  }
+
+  remoteTarget(remotePath) {
+    return `root@${formatRemoteHost(this.serverIp)}:${remotePath}`;
   }
 
   get sshCommandLine() {
@@ -102,6 +393,28 @@ class RemoteBuilder {
     return parts.map((part) => quoteShellArg(part)).join(" ");
   }
 
+  // In JSON mode stdout carries only events, so child output goes to stderr.
+  childStdio(stdin = "inherit") {
+    return isJsonMode() ? [stdin, 2, 2] : [stdin, "inherit", "inherit"];
+  }
+
+  emit(event, data = {}) {
+    emitEvent(event, {
+      profile: this.profile,
+      serverId: this.serverId || this.buildServerId,
+      ...data
+    });
+  }
+
+  async runPhase(phase, event, action) {
+    this.currentPhase = phase;
+    const startedAt = Date.now();
+    const result = await action();
+    const durationMs = Date.now() - startedAt;
+    this.phaseDurations[phase] = (this.phaseDurations[phase] || 0) + durationMs;
+    this.emit(event, { phase, durationMs, ...(result || {}) });
+  }
+
   runCommandSync(command, options = {}) {
     if (this.options.dryRun) {
       logInfo(`[DRY-RUN] ${command}`);
@@ -126,7 +439,7 @@ class RemoteBuilder {
     const mergedOptions = {
       env: this.env,
       encoding: "utf8",
-      stdio: "inherit",
+      stdio: this.childStdio(),
       ...options
     };
     const result = childProcess.spawnSync(cmd, args, mergedOptions);
@@ -142,10 +455,10 @@ class RemoteBuilder {
   }
 
   runSSHCommand(command, options = {}) {
-    const { allowFailure = false, captureOutput = true } = options;
+    const { allowFailure = false, captureOutput = true, input } = options;
     const sshArgs = [
       ...this.sshArgs,
-      `root@${this.serverIp}`,
+      this.sshTarget,
       "bash",
       "-lc",
       quoteShellArg(command)
@@ -161,13 +474,18 @@ class RemoteBuilder {
       encoding: "utf8"
     };
 
-    if (captureOutput) {
-      spawnOptions.stdio = ["ignore", "pipe", "pipe"];
-    } else {
-      spawnOptions.stdio = ["ignore", "inherit", "inherit"];
+    // Output is always captured so that it can be redacted before it is shown.
+    spawnOptions.stdio = [input === undefined ? "ignore" : "pipe", "pipe", "pipe"];
+    if (input !== undefined) {
+      spawnOptions.input = input;
     }
 
     const result = childProcess.spawnSync("ssh", sshArgs, spawnOptions);
+    if (!captureOutput) {
+      [result.stdout, result.stderr]
+        .filter(Boolean)
+        .forEach((output) => output.split(/\r?\n/).filter(Boolean).forEach((line) => logPlain(line)));
+    }
     if (result.status !== 0 && !allowFailure) {
       throw new Error(
         result.stderr
@@ -188,6 +506,8 @@ class RemoteBuilder {
       // If we are dry-running, there is no server to clean up, unless we mocked one?
       // Assuming dry-run skips creation, so no ID.
       if (!this.serverId && !this.options.dryRun) {
+        this.deleteFirewallSync();
+        this.deleteEphemeralKeySync();
         return;
       }
 
@@ -196,6 +516,9 @@ class RemoteBuilder {
         if (this.serverIp) {
           logInfo(`Server IP: ${this.serverIp}`);
         }
+        if (this.ephemeralKey) {
+          logInfo(`SSH key: ${this.sshKeyFile} ('htzbuild gc' removes it from Hetzner later)`);
+        }
         return;
       }
 
@@ -204,21 +527,22 @@ class RemoteBuilder {
         return;
       }
 
-      console.log(`Cleaning up server ${this.serverName} (ID: ${this.serverId})...`);
+      logPlain(`Cleaning up server ${this.serverName} (ID: ${this.serverId})...`);
+      this.stopHeartbeat();
+      this.detachCacheVolumeSync();
+      let deleteAction = null;
       try {
-        childProcess.spawnSync(
-          "hcloud",
-          ["server", "delete", this.serverId, "--poll-interval", "1s"],
-          {
-            env: this.env,
-            stdio: "inherit",
-            encoding: "utf8"
-          }
-        );
-        console.log("Server deleted");
+        deleteAction = this.hcloud.deleteServerSync(this.serverId).action;
+        this.emit("cleanup", { action: "deleted" });
+        this.serverId = null;
+        logPlain("Server deleted");
       } catch (error) {
-        console.error("Failed to delete server during cleanup");
+        this.emit("cleanup", { action: "failed", error: error.message });
+        logWarn(`Failed to delete server during cleanup: ${error.message}`);
+        logWarn("Run 'htzbuild gc' later to remove the orphaned server.");
       }
+      this.deleteFirewallSync(deleteAction);
+      this.deleteEphemeralKeySync();
     };
 
     process.on("exit", cleanupHandler);
@@ -240,64 +564,434 @@ class RemoteBuilder {
   }
 
   async run() {
+    this.runStartedAt = Date.now();
     logInfo("");
     logInfo("==========================================");
     logInfo("  Hetzner Cloud EAS Build Tool");
     logInfo("==========================================");
     logInfo(`  Profile: ${this.profile}`);
     logInfo(`  Server:  ${this.serverType} @ ${this.location}`);
+    if (this.serverTypes.length > 1 || this.locations.length > 1) {
+      logInfo(`  Fallbacks: ${this.serverTypes.join(", ")} @ ${this.locations.join(", ")}`);
+    }
+    if (this.networkSettings.mode !== "ipv4" || this.networkSettings.jumpHost) {
+      const { mode, jumpHost } = this.networkSettings;
+      logInfo(`  Network: ${mode}${jumpHost ? ` via ${jumpHost}` : ""}`);
+    }
+    if (this.appDir) {
+      logInfo(`  App:     ${this.appDir} (workspace ${this.workspaceRoot})`);
+    }
+    logInfo(`  Install: ${this.installPlan.command}`);
     if (this.options.dryRun) logInfo("  (DRY RUN MODE)");
     logInfo("==========================================");
     logInfo("");
 
-    this.registerCleanup();
-    this.checkPrerequisites();
-    await this.createServer();
-    await this.waitForServer();
-    await this.syncProject();
-    await this.runBuild();
+    this.emit("run_started", {
+      serverType: this.serverType,
+      location: this.location,
+      dryRun: Boolean(this.options.dryRun)
+    });
 
-    if (!this.options.dryRun) {
-      await this.monitorBuild();
-      this.retrieveArtifact();
-    } else {
-      logInfo("[DRY-RUN] Skipping build monitor and artifact retrieval.");
+    try {
+      await this.runPhase("prerequisites", "prerequisites_checked", async () => {
+        this.registerCleanup();
+        this.checkPrerequisites();
+        await this.warnAboutOrphans();
+        return this.checkBudget();
+      });
+      await this.runPhase("provisioning", "server_created", async () => {
+        await this.createServer();
+        await this.attachCacheVolume();
+        return {
+          serverName: this.serverName,
+          serverIp: this.serverIp,
+          serverType: this.serverType,
+          location: this.location,
+          reused: this.reusedServer
+        };
+      });
+      await this.runPhase("provisioning", "server_ready", async () => {
+        await this.waitForServer();
+        return this.startWatchdog();
+      });
+      await this.runPhase("sync", "project_synced", () => this.syncProject());
+      await this.runPhase("build", "build_started", () => this.runBuild());
+
+      if (this.options.detach) {
+        await this.detach();
+        this.emit("cleanup", { action: "detached" });
+        await this.finishRun("detached");
+        return { profile: this.profile, detached: true, artifactPath: null };
+      }
+
+      if (!this.options.dryRun) {
+        await this.runPhase("build", "build_finished", async () => {
+          await this.monitorBuild();
+          return { step: this.buildStatus && this.buildStatus.step };
+        });
+        await this.runPhase("retrieval", "artifact_retrieved", () => {
+          this.retrieveArtifact();
+          this.finishDepsCache();
+          return {
+            artifactPath: this.artifactPath,
+            sha256: this.artifactSha256,
+            sizeBytes: this.artifactSizeBytes
+          };
+        });
+      } else {
+        logInfo("[DRY-RUN] Skipping build monitor and artifact retrieval.");
+      }
+
+      await this.runPhase("cleanup", "cleanup", async () => {
+        await this.finishServer();
+        return { action: this.options.reuse ? "pooled" : "deleted" };
+      });
+    } catch (error) {
+      const failure = toBuildError(error, this.currentPhase);
+      const logTail = this.readLogTail();
+      await this.cleanupAfterFailure();
+      const { durationMs } = await this.finishRun("failed", {
+        phase: failure.phase,
+        exitCode: failure.exitCode,
+        error: failure.message
+      });
+      await this.notify("failed", {
+        durationMs,
+        error: failure.message,
+        failedPhase: failure.phase,
+        logTail
+      });
+      throw failure;
     }
 
+    const artifactPath = this.artifactPath;
+
     logSuccess("Build complete!");
-    if (this.artifactName) {
-      logInfo(`Artifact location: ${path.join(this.buildOutputDir, this.artifactName)}`);
-    } else {
+    if (artifactPath) {
+      logInfo(`Artifact location: ${artifactPath}`);
+    } else if (!this.upload) {
       logInfo(`Artifact location: (none in dry-run)`);
     }
+    this.logUpload();
+    this.logDepsCache();
+    this.logBilledCost();
     logInfo("");
+
+    const { durationMs } = await this.finishRun("succeeded", {
+      artifactPath,
+      upload: this.upload,
+      depsCache: this.depsCache && {
+        key: this.depsCache.key,
+        result: this.depsCache.result,
+        saved: this.depsCache.saved
+      },
+      sha256: this.artifactSha256,
+      sizeBytes: this.artifactSizeBytes
+    });
+    await this.notify("succeeded", { durationMs, artifactPath });
+
+    return {
+      profile: this.profile,
+      artifactPath,
+      uploadUrl: this.upload && this.upload.url,
+      sha256: this.artifactSha256,
+      durationMs,
+      historyId: this.historyId
+    };
+  }
+
+  async finishRun(status, data = {}) {
+    const durationMs = Date.now() - this.runStartedAt;
+    const serverMs = this.serverCreatedAt ? Date.now() - this.serverCreatedAt : 0;
+    const cost = status === "detached" ? null : await this.estimateCost(serverMs);
+    this.emit("run_finished", { status, durationMs, phases: this.phaseDurations, cost, ...data });
+
+    this.recordHistory({
+      result: status,
+      failedPhase: data.phase || null,
+      exitCode: data.exitCode || (status === "failed" ? 1 : 0),
+      error: data.error ? redact(data.error) : null,
+      durationMs,
+      artifactPath: data.artifactPath || null,
+      upload: data.upload ? data.upload.location : null,
+      sha256: data.sha256 || null,
+      sizeBytes: data.sizeBytes || null,
+      estimatedCost: cost
+    });
+
+    return { durationMs };
+  }
+
+  // Only read while the server still exists, i.e. before failure cleanup.
+  readLogTail() {
+    const settings = this.notificationSettings;
+    if (!settings || !settings.webhooks.length || !settings.logLines || !this.serverIp || this.options.dryRun) {
+      return [];
+    }
+    try {
+      const result = this.runSSHCommand(
+        `tail -n ${Number(settings.logLines)} ${quoteShellArg(this.remoteLogPath)}`,
+        { allowFailure: true }
+      );
+      return result.status === 0 ? String(result.stdout).split(/\r?\n/).filter(Boolean) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  async notify(status, data = {}) {
+    if (!this.notificationSettings) {
+      return;
+    }
+    const git = resolveGitCommit(this.projectDir);
+    await sendNotifications(
+      this.notificationSettings,
+      {
+        status,
+        profile: this.profile,
+        project: this.projectName,
+        durationMs: data.durationMs,
+        serverType: this.serverType,
+        location: this.location,
+        artifactPath: data.artifactPath || null,
+        uploadUrl: (this.upload && (this.upload.url || this.upload.location)) || null,
+        gitCommit: git.commit,
+        error: data.error || null,
+        failedPhase: data.failedPhase || null,
+        logTail: data.logTail || [],
+        historyId: this.historyId
+      },
+      { dryRun: this.options.dryRun }
+    );
+  }
+
+  recordHistory(outcome) {
+    const git = resolveGitCommit(this.projectDir);
+    try {
+      appendHistory({
+        id: this.historyId,
+        startedAt: new Date(this.runStartedAt).toISOString(),
+        finishedAt: new Date().toISOString(),
+        profile: this.profile,
+        project: this.projectName,
+        projectDir: this.projectDir,
+        gitCommit: git.commit,
+        gitDirty: git.dirty,
+        serverType: this.serverType,
+        location: this.location,
+        serverId: this.buildServerId,
+        reused: this.reusedServer,
+        dryRun: Boolean(this.options.dryRun),
+        phases: this.phaseDurations,
+        ...outcome
+      });
+    } catch (error) {
+      logWarn(`Could not record build history: ${error.message}`);
+    }
+  }
+
+  async resolvePrice() {
+    if (!this.price) {
+      this.price = await resolveHourlyPrice(
+        this.options.dryRun ? null : this.hcloud,
+        this.pricingSettings,
+        this.serverType,
+        this.location
+      );
+    }
+    return this.price;
+  }
+
+  // A fresh server is billed per started hour; a pooled server's hours are
+  // shared between builds, so each build is charged for its own share.
+  async estimateCost(serverMs) {
+    if (this.options.dryRun || !this.buildServerId) {
+      return null;
+    }
+
+    const price = await this.resolvePrice();
+    if (!price) {
+      return null;
+    }
+    const amount = this.reusedServer ? proratedCost(price, serverMs) : billedCost(price, serverMs);
+    return { amount, currency: price.currency };
+  }
+
+  projectedBuildDurationMs() {
+    try {
+      const durations = loadHistory()
+        .filter(
+          (record) =>
+            record.profile === this.profile &&
+            record.serverType === this.serverType &&
+            record.result === "succeeded" &&
+            !record.dryRun &&
+            record.durationMs
+        )
+        .slice(-10)
+        .map((record) => record.durationMs);
+      const median = medianDuration(durations);
+      if (median) {
+        return { durationMs: median, basis: `median of ${durations.length} previous build(s)` };
+      }
+    } catch {
+      // No usable history; assume the worst case
+    }
+    return { durationMs: this.worstCaseDurationMs, basis: "the maximum build duration" };
+  }
+
+  get worstCaseDurationMs() {
+    return this.maxBuildDurationMs + PROVISIONING_ALLOWANCE_MS;
+  }
+
+  async checkBudget() {
+    const price = await this.resolvePrice();
+    if (!price) {
+      logWarn(`No price known for ${this.serverType} in ${this.location}; add it under pricing.hourly to get cost estimates.`);
+      return null;
+    }
+
+    const projection = this.projectedBuildDurationMs();
+    const projectedCost = billedCost(price, projection.durationMs);
+    const worstCaseCost = billedCost(price, this.worstCaseDurationMs);
+    logInfo(
+      `Estimated cost: ${formatCost(projectedCost, price.currency)} (${this.serverType} @ ${this.location} at ${price.hourly.toFixed(4)} ${price.currency}/h, ~${Math.round(projection.durationMs / 60000)} minutes based on ${projection.basis})`
+    );
+    if (worstCaseCost > projectedCost) {
+      logInfo(`  Up to ${formatCost(worstCaseCost, price.currency)} if the build runs the full ${Math.round(this.maxBuildDurationMs / 60000)} minutes`);
+    }
+
+    const estimate = {
+      estimatedCost: { amount: projectedCost, currency: price.currency },
+      hourlyPrice: price.hourly,
+      maxCost: this.maxCost
+    };
+    if (!this.maxCost) {
+      return estimate;
+    }
+
+    if (projectedCost > this.maxCost) {
+      throw new BuildError(
+        `Projected cost ${formatCost(projectedCost, price.currency)} exceeds the budget of ${formatCost(this.maxCost, price.currency)}`,
+        "budget"
+      );
+    }
+    if (worstCaseCost > this.maxCost) {
+      const affordableMinutes = Math.round(budgetLifetimeMs(price, this.maxCost) / 60000);
+      logWarn(
+        `The build will be stopped after about ${affordableMinutes} minutes to stay within the budget of ${formatCost(this.maxCost, price.currency)}.`
+      );
+    }
+    return estimate;
+  }
+
+  logBilledCost() {
+    if (!this.price || !this.serverCreatedAt || this.options.dryRun) {
+      return;
+    }
+
+    const serverMs = Date.now() - this.serverCreatedAt;
+    if (this.reusedServer) {
+      logInfo(
+        `Cost: ~${formatCost(proratedCost(this.price, serverMs), this.price.currency)} (share of a pooled server at ${this.price.hourly.toFixed(4)} ${this.price.currency}/h)`
+      );
+      return;
+    }
+    const hours = billedHours(serverMs);
+    logInfo(
+      `Billed: ${formatCost(billedCost(this.price, serverMs), this.price.currency)} (${hours} hour${hours === 1 ? "" : "s"} at ${this.price.hourly.toFixed(4)} ${this.price.currency}/h)`
+    );
+  }
+
+  get artifactPath() {
+    return this.artifactName ? path.join(this.buildOutputDir, this.artifactName) : null;
+  }
+
+  // Delete the server before reporting the failure so the final event reflects
+  // the real state; the exit handler remains the fallback if this fails.
+  async cleanupAfterFailure() {
+    if (!this.serverId || this.options.dryRun) {
+      await this.releaseFirewall(null);
+      await this.deleteEphemeralKey();
+      return;
+    }
+
+    if (this.options.keepAliveOnError) {
+      this.emit("cleanup", { action: "kept", serverIp: this.serverIp });
+      return;
+    }
+
+    try {
+      await this.deleteServer();
+      this.emit("cleanup", { action: "deleted" });
+    } catch (error) {
+      stopSpinner(false);
+      logWarn(`Failed to delete server after the error: ${error.message}`);
+    }
   }
 
   checkPrerequisites() {
     logInfo("Checking prerequisites...");
     // These checks should perhaps run even in dry-run? Or skip?
     // Let's run them to valid environment unless explicitly skipped.
-    this.ensureCommand("hcloud");
     this.ensureCommand("rsync");
     this.ensureCommand("ssh");
     this.ensureCommand("scp");
+    if (this.pinHostKeys || this.useEphemeralKey) {
+      this.ensureCommand("ssh-keygen");
+    }
 
-    if (!this.env.HCLOUD_TOKEN) {
-      try {
-        if (!this.options.dryRun) {
-          this.runCommandSync("hcloud context active", { stdio: "pipe" });
-        }
-      } catch {
-        throw new Error(
-          "HCLOUD_TOKEN not set and no active hcloud context found"
-        );
-      }
+    if (this.useEphemeralKey && this.options.reuse) {
+      throw new Error(
+        "--reuse cannot be combined with ephemeral SSH keys: later builds could not log in to the pooled server"
+      );
+    }
+
+    if (!this.env.HCLOUD_TOKEN && !this.options.dryRun) {
+      throw new Error("HCLOUD_TOKEN not set");
+    }
+
+    if (this.nonInteractive && !this.useEphemeralKey && !this.options.dryRun) {
+      this.ensureKeyNeedsNoPrompt();
     }
 
     this.ensureFile(this.cloudInitFile, "Cloud-init file");
+    this.uploadSettings = resolveUploadSettings(this.config, this.env);
+    this.notificationSettings = resolveNotificationSettings(this.config, this.env);
+    registerSecrets(this.notificationSettings.webhooks.map((webhook) => webhook.url));
+    if (this.depsCacheSettings.enabled && this.depsCacheSettings.storage === "s3") {
+      resolveS3Settings(this.depsCacheSettings.s3, this.env, "depsCache.s3");
+    }
+    if (this.installPlan.otherLockfiles.length) {
+      logWarn(
+        `Installing with ${this.installPlan.name}; ignoring ${this.installPlan.otherLockfiles.join(", ")}`
+      );
+    }
     logSuccess("Prerequisites satisfied");
   }
 
+  async warnAboutOrphans() {
+    const gcConfig = this.config.gc || {};
+    if (this.options.dryRun || gcConfig.warnOnStartup === false) {
+      return;
+    }
+
+    try {
+      const orphans = await findOrphanedServers(
+        this.hcloud,
+        parseDuration(gcConfig.maxAge || DEFAULT_MAX_AGE)
+      );
+      if (!orphans.length) {
+        return;
+      }
+      logWarn(`Found ${orphans.length} stale builder server(s) that are still billing:`);
+      orphans.forEach((server) => logWarn(`  ${describeServer(server)}`));
+      logWarn("Run 'htzbuild gc' to delete them.");
+    } catch (error) {
+      logWarn(`Could not check for orphaned builder servers: ${error.message}`);
+    }
+  }
+
   ensureCommand(commandName) {
     try {
       childProcess.execSync(`command -v ${commandName}`, {
@@ -315,10 +1009,33 @@ class RemoteBuilder {
     }
   }
 
+  // With BatchMode ssh refuses to prompt, so a key that needs its passphrase
+  // would only fail after the server is up; check it before creating one.
+  ensureKeyNeedsNoPrompt() {
+    if (this.env.SSH_AUTH_SOCK || !fs.existsSync(this.sshKeyFile)) {
+      return;
+    }
+    this.ensureCommand("ssh-keygen");
+    const result = childProcess.spawnSync("ssh-keygen", ["-y", "-P", "", "-f", this.sshKeyFile], {
+      stdio: "ignore"
+    });
+    if (result.status !== 0) {
+      throw new Error(
+        `SSH key ${this.sshKeyFile} needs a passphrase, but matrix builds cannot prompt for it; load it with ssh-add or use --ephemeral-key`
+      );
+    }
+  }
+
   async askQuestion(query) {
+    if (this.nonInteractive) {
+      throw new Error(
+        `Cannot ask "${query.trim()}" during a matrix build; run this profile on its own once to answer it`
+      );
+    }
+
     const rl = readline.createInterface({
       input: process.stdin,
-      output: process.stdout
+      output: isJsonMode() ? process.stderr : process.stdout
     });
 
     return new Promise((resolve) => {
@@ -330,6 +1047,10 @@ class RemoteBuilder {
   }
 
   async ensureSshKey() {
+    if (this.useEphemeralKey) {
+      return this.createEphemeralKey();
+    }
+
     if (this.options.dryRun) {
       return "dry-run-key";
     }
@@ -341,19 +1062,10 @@ class RemoteBuilder {
     }
 
     // 2. Check if "buildkey" exists on Hetzner
-    try {
-      const listing = childProcess.execSync(
-        "hcloud ssh-key list -o noheader -o columns=name",
-        { env: this.env, encoding: "utf8" }
-      );
-      const keys = listing.split("\n").map((k) => k.trim()).filter(Boolean);
-
-      if (keys.includes("buildkey")) {
-        logInfo("Found existing 'buildkey' on Hetzner.");
-        return "buildkey";
-      }
-    } catch {
-      // Ignore error
+    const existingKeys = await this.hcloud.listSshKeys(null, { name: "buildkey" });
+    if (existingKeys.length) {
+      logInfo("Found existing 'buildkey' on Hetzner.");
+      return "buildkey";
     }
 
     // 3. Prompt user
@@ -374,108 +1086,679 @@ class RemoteBuilder {
       logInfo(`Generating local key at ${defaultKeyPath}...`);
       childProcess.execSync(
         `ssh-keygen -t ed25519 -f ${defaultKeyPath} -N "" -C "htzbuild-auto-generated"`,
-        { stdio: "inherit" }
+        { stdio: this.childStdio() }
       );
     }
 
     // 5. Upload to Hetzner
     logInfo("Uploading 'buildkey' to Hetzner...");
-    childProcess.execSync(
-      `hcloud ssh-key create --name buildkey --public-key-from-file ${defaultKeyPath}.pub`,
-      { env: this.env, stdio: "inherit" }
-    );
+    const publicKey = fs.readFileSync(`${defaultKeyPath}.pub`, "utf8").trim();
+    await this.hcloud.createSshKey("buildkey", publicKey);
 
     this.sshKeyFile = defaultKeyPath;
 
     return "buildkey";
   }
 
-  async createServer() {
-    const sshKeyName = await this.ensureSshKey();
-
-    startSpinner(`Creating server: ${this.serverName} (${this.serverType} in ${this.location})...`);
-
+  // Detached builds keep their key next to the state file so status/attach/fetch
+  // can still log in after this process exits.
+  async createEphemeralKey() {
+    const name = `${this.serverName}-${this.historyId}`;
     if (this.options.dryRun) {
-      this.serverIp = "1.2.3.4";
-      this.serverId = "123456";
-      stopSpinner();
-      logInfo(`[DRY-RUN] Server created: ${this.serverIp}`);
-      return;
+      logInfo(`[DRY-RUN] Would generate a throwaway SSH key and register it as ${name}`);
+      return name;
     }
 
-    const hcloudArgs = [
-      "server",
-      "create",
-      "--name",
-      this.serverName,
-      "--type",
-      this.serverType,
-      "--image",
-      this.image,
-      "--location",
-      this.location,
-      "--ssh-key",
-      sshKeyName,
-      "--user-data-from-file",
-      this.cloudInitFile,
-      "--poll-interval",
-      "1s"
-    ];
-    hcloudArgs.push("--output", "json");
+    const { dir, keyFile, publicKey } = generateClientKey(
+      this.options.detach ? resolveDetachedDir() : os.tmpdir(),
+      name
+    );
+    this.ephemeralKey = { id: null, name, dir };
+    this.sshKeyFile = keyFile;
 
-    const hcloudResult = childProcess.spawnSync("hcloud", hcloudArgs, {
-      env: this.env,
-      encoding: "utf8",
-      stdio: ["ignore", "pipe", "pipe"]
+    const sshKey = await this.hcloud.createSshKey(name, publicKey, {
+      ...builderLabels({ project: this.projectName, profile: this.profile }),
+      [EPHEMERAL_KEY_LABEL]: EPHEMERAL_KEY_LABEL_VALUE,
+      [SERVER_LABEL]: sanitizeLabelValue(this.serverName)
     });
+    this.ephemeralKey.id = sshKey.id;
+    logInfo(`Registered throwaway SSH key ${name}`);
+    return name;
+  }
 
-    if (hcloudResult.status !== 0) {
-      stopSpinner(false);
-      const message =
-        hcloudResult.stderr && hcloudResult.stderr.toString().trim();
-      throw new Error(message || "Failed to create server");
-    }
-
-    const parsed = JSON.parse(hcloudResult.stdout.toString().trim());
-    const createdServer = parsed.server;
-    if (!createdServer) {
-      stopSpinner(false);
-      throw new Error("Unable to parse server creation response");
+  async deleteEphemeralKey() {
+    if (!this.ephemeralKey) {
+      return;
     }
 
-    this.serverId = String(createdServer.id);
-    const publicNet = createdServer.public_net;
-    if (!publicNet || !publicNet.ipv4 || !publicNet.ipv4.ip) {
-      stopSpinner(false);
-      throw new Error("Unable to determine server IP address");
+    const { id, name, dir } = this.ephemeralKey;
+    this.ephemeralKey = null;
+    if (id) {
+      try {
+        await this.hcloud.deleteSshKey(id);
+        logInfo(`Deleted throwaway SSH key ${name}`);
+      } catch (error) {
+        logWarn(`Failed to delete SSH key ${name}: ${error.message}`);
+        logWarn("Run 'htzbuild gc' later to remove it.");
+      }
     }
-    this.serverIp = publicNet.ipv4.ip;
-
-    logSuccess(`Server created: ${this.serverIp} (ID: ${this.serverId})`);
+    removeClientKey(dir);
   }
 
-  async waitForServer() {
-    if (this.options.dryRun) {
-      logInfo("[DRY-RUN] Waiting for server...");
+  deleteEphemeralKeySync() {
+    if (!this.ephemeralKey) {
       return;
     }
 
-    startSpinner("Waiting for SSH access...");
-    const maxAttempts = 60;
-    let attempt = 0;
-
-    while (attempt < maxAttempts) {
-      const result = this.runSSHCommand("echo ready", { allowFailure: true });
-      if (result.status === 0) {
-        break;
+    const { id, name, dir } = this.ephemeralKey;
+    this.ephemeralKey = null;
+    if (id) {
+      try {
+        this.hcloud.deleteSshKeySync(id);
+        logPlain(`Deleted throwaway SSH key ${name}`);
+      } catch (error) {
+        logWarn(`Failed to delete SSH key ${name} during cleanup: ${error.message}`);
+        logWarn("Run 'htzbuild gc' later to remove it.");
       }
-      attempt += 1;
-      await this.delay(5000);
     }
+    removeClientKey(dir);
+  }
 
-    if (attempt === maxAttempts) {
-      stopSpinner(false);
-      throw new Error("Timeout waiting for SSH access");
+  async resolveImage() {
+    const stockImage = {
+      image: this.image,
+      userData: fs.readFileSync(this.cloudInitFile, "utf8")
+    };
+
+    if (!this.useSnapshots || this.options.dryRun) {
+      return stockImage;
+    }
+
+    const cloudInitHash = hashCloudInitFile(this.cloudInitFile);
+    try {
+      const snapshot = await findSnapshotForHash(this.hcloud, cloudInitHash);
+      if (snapshot) {
+        logInfo(`Using baked snapshot ${snapshot.id} (cloud-init ${cloudInitHash})`);
+        // The snapshot already ran the cloud-init file; no user data needed.
+        return { image: String(snapshot.id), userData: undefined };
+      }
+      logInfo(
+        `No snapshot for cloud-init ${cloudInitHash}; using ${this.image} (run 'htzbuild image bake' to speed this up)`
+      );
+    } catch (error) {
+      logWarn(`Could not look up snapshots (${error.message}); using ${this.image}`);
+    }
+
+    return stockImage;
+  }
+
+  serverLabels() {
+    const labels = builderLabels({ project: this.projectName, profile: this.profile });
+    return this.options.reuse ? { ...labels, ...poolLabels("busy") } : labels;
+  }
+
+  adoptServer(server) {
+    this.serverId = String(server.id);
+    this.serverName = server.name || this.serverName;
+    const address = serverAddress(server, this.networkSettings, this.privateNetworkId);
+    if (!address) {
+      stopSpinner(false);
+      throw new Error(`Unable to determine the server's ${this.networkSettings.mode} address`);
+    }
+    this.serverIp = address;
+    this.buildServerId = this.serverId;
+  }
+
+  async acquirePooledServer() {
+    try {
+      const pooled = await acquirePooledServer(this.hcloud, {
+        serverType: this.serverTypes,
+        location: this.locations
+      });
+      if (pooled) {
+        this.pooledServer = pooled;
+        this.reusedServer = true;
+        this.adoptServer(pooled);
+        this.pinPooledHostKey(pooled);
+        if (
+          pooled.server_type.name !== this.serverType ||
+          pooled.datacenter.location.name !== this.location
+        ) {
+          this.serverType = pooled.server_type.name;
+          this.location = pooled.datacenter.location.name;
+          this.price = null;
+        }
+        logSuccess(`Reusing pooled server ${this.serverName}: ${this.serverIp} (ID: ${this.serverId})`);
+        return true;
+      }
+      logInfo("No idle pooled server available; creating a new one.");
+    } catch (error) {
+      logWarn(`Could not check the builder pool (${error.message}); creating a new server.`);
+    }
+    return false;
+  }
+
+  pinPooledHostKey(server) {
+    if (!this.pinHostKeys) {
+      return;
+    }
+    const publicKey = decodeHostKeyLabel(server.labels && server.labels[HOST_KEY_LABEL]);
+    if (!publicKey) {
+      logWarn(`Pooled server ${server.name} has no pinned host key; trusting the key it presents first.`);
+    }
+    this.pinHostKey(publicKey);
+  }
+
+  async createServer() {
+    this.serverCreatedAt = Date.now();
+
+    if (this.options.reuse && !this.options.dryRun && (await this.acquirePooledServer())) {
+      await this.applyFirewallToPooledServer();
+      await this.startBudgetClock();
+      return;
+    }
+
+    const sshKeyName = await this.ensureSshKey();
+    const firewall = await this.prepareFirewall();
+    const networks = await this.resolveNetworks();
+    const { image, userData } = await this.resolveImage();
+    const hostKeyPair = this.pinHostKeys ? generateHostKeyPair() : null;
+    const labels = this.serverLabels();
+    if (hostKeyPair) {
+      labels[HOST_KEY_LABEL] = encodeHostKeyLabel(hostKeyPair.publicKey);
+    }
+
+    if (this.options.dryRun) {
+      startSpinner(`Creating server: ${this.serverName} (${this.serverType} in ${this.location})...`);
+      this.serverIp = dryRunAddress(this.networkSettings);
+      this.serverId = "123456";
+      this.buildServerId = this.serverId;
+      stopSpinner();
+      logInfo(`[DRY-RUN] Server created: ${this.serverIp}`);
+      if (hostKeyPair) {
+        this.pinHostKey(hostKeyPair.publicKey);
+        logInfo(
+          `[DRY-RUN] Would inject host key ${hostKeyFingerprint(hostKeyPair.publicKey)} via cloud-init and require it in ${this.knownHostsFile}`
+        );
+      }
+      return;
+    }
+
+    const createdServer = await this.createServerWithFallback({
+      name: this.serverName,
+      image,
+      ssh_keys: [sshKeyName],
+      firewalls: firewall ? [{ firewall: firewall.id }] : undefined,
+      networks,
+      public_net: publicNetPayload(this.networkSettings),
+      user_data: hostKeyPair
+        ? combineUserData([userData, hostKeyCloudConfig(hostKeyPair)])
+        : userData,
+      labels
+    });
+
+    if (!createdServer) {
+      throw new Error("Unable to parse server creation response");
+    }
+
+    // Private network addresses may only show up once the create action is done.
+    const server = serverAddress(createdServer, this.networkSettings, this.privateNetworkId)
+      ? createdServer
+      : await this.hcloud.getServer(createdServer.id);
+    this.adoptServer(server);
+    this.pooledServer = server;
+    if (hostKeyPair) {
+      this.pinHostKey(hostKeyPair.publicKey);
+      logInfo(`Pinned SSH host key ${hostKeyFingerprint(hostKeyPair.publicKey)}`);
+    }
+
+    logSuccess(
+      `Server created: ${this.serverIp} (ID: ${this.serverId}, ${this.serverType} in ${this.location})`
+    );
+    await this.startBudgetClock();
+  }
+
+  // Server types are tried in order, each across every location, and only
+  // capacity or placement errors move on to the next combination.
+  async createServerWithFallback(payload) {
+    const unavailable = [];
+    let lastError = null;
+
+    for (const serverType of this.serverTypes) {
+      for (const location of this.locations) {
+        startSpinner(`Creating server: ${this.serverName} (${serverType} in ${location})...`);
+        try {
+          const server = await this.hcloud.createServer({
+            ...payload,
+            server_type: serverType,
+            location
+          });
+          if (serverType !== this.serverType || location !== this.location) {
+            this.serverType = serverType;
+            this.location = location;
+            this.price = null;
+          }
+          if (unavailable.length) {
+            logInfo(`Fell back to ${serverType} in ${location} (unavailable: ${unavailable.join(", ")})`);
+          }
+          return server;
+        } catch (error) {
+          stopSpinner(false);
+          await this.removeFailedServer(error.server);
+          if (!isCapacityError(error)) {
+            // Keep the original error so callers can still tell its code and status.
+            error.message = `Failed to create server: ${error.message} (${error.code})`;
+            throw error;
+          }
+          logWarn(`${serverType} in ${location} is unavailable: ${error.message} (${error.code})`);
+          unavailable.push(`${serverType}@${location}`);
+          lastError = error;
+        }
+      }
+    }
+
+    throw new HcloudApiError(
+      `Failed to create server: no capacity for any server type and location (tried ${unavailable.join(", ")})`,
+      { code: lastError.code, status: lastError.status, details: lastError.details }
+    );
+  }
+
+  async resolveNetworks() {
+    const { privateNetwork } = this.networkSettings;
+    if (!privateNetwork) {
+      return undefined;
+    }
+
+    if (this.options.dryRun) {
+      logInfo(`[DRY-RUN] Would attach private network ${privateNetwork}`);
+      return undefined;
+    }
+
+    this.privateNetworkId = await resolvePrivateNetworkId(this.hcloud, privateNetwork);
+    return [this.privateNetworkId];
+  }
+
+  async prepareFirewall() {
+    if (!this.firewallSettings.enabled) {
+      return null;
+    }
+
+    if (this.options.dryRun) {
+      const sources = [
+        ...(this.firewallSettings.detectIp ? ["<your public IP>"] : []),
+        ...this.firewallSettings.allowedCidrs
+      ];
+      logInfo(`[DRY-RUN] Would attach a firewall allowing SSH only from ${sources.join(", ")}`);
+      return null;
+    }
+
+    const cidrs = await resolveAllowedCidrs(this.firewallSettings);
+    this.firewall = await ensureFirewall(
+      this.hcloud,
+      cidrs,
+      builderLabels({ project: this.projectName, profile: this.profile })
+    );
+    return this.firewall;
+  }
+
+  // A pooled server keeps the firewalls of earlier builds; ours is added so
+  // this caller can reach it as well.
+  async applyFirewallToPooledServer() {
+    const firewall = await this.prepareFirewall();
+    if (!firewall) {
+      return;
+    }
+    const applied = (firewall.applied_to || []).some(
+      (resource) => resource.server && String(resource.server.id) === this.serverId
+    );
+    if (!applied) {
+      await this.hcloud.applyFirewall(firewall.id, this.serverId);
+    }
+  }
+
+  async releaseFirewall(serverId) {
+    if (!this.firewall) {
+      return;
+    }
+
+    const firewall = this.firewall;
+    this.firewall = null;
+    try {
+      await releaseFirewall(this.hcloud, firewall, serverId);
+    } catch (error) {
+      logWarn(`Failed to delete firewall ${firewall.name}: ${error.message}`);
+      logWarn("Run 'htzbuild gc' later to remove it.");
+    }
+  }
+
+  // The firewall stays in use until the server delete action has finished, so
+  // the exit handler waits for it before deleting the firewall.
+  deleteFirewallSync(deleteAction = null) {
+    if (!this.firewall) {
+      return;
+    }
+
+    const firewall = this.firewall;
+    this.firewall = null;
+    try {
+      this.hcloud.waitForActionSync(deleteAction, EXIT_DELETE_WAIT_MS);
+      this.hcloud.deleteFirewallSync(firewall.id);
+      logPlain(`Deleted firewall ${firewall.name}`);
+    } catch (error) {
+      logWarn(`Failed to delete firewall ${firewall.name}: ${error.message}`);
+      logWarn("Run 'htzbuild gc' later to remove it.");
+    }
+  }
+
+  async removeFailedServer(server) {
+    if (!server) {
+      return;
+    }
+    try {
+      await this.hcloud.deleteServer(server.id);
+    } catch (error) {
+      logWarn(`Failed to delete half-created server ${server.id}: ${error.message}; run 'htzbuild gc' later.`);
+    }
+  }
+
+  async startBudgetClock() {
+    const lifetimeMs = budgetLifetimeMs(await this.resolvePrice(), this.maxCost);
+    if (lifetimeMs) {
+      this.budgetDeadline = this.serverCreatedAt + lifetimeMs - BUDGET_MARGIN_MS;
+    }
+  }
+
+  resetReusedServer() {
+    const remoteDir = quoteShellArg(this.remoteProjectDir);
+    const staleFiles = [
+      this.remoteStatusFile,
+      this.remoteLogPath,
+      DEPS_TARBALL,
+      DEPS_MARKER,
+      ...this.artifactCandidates.map((candidate) => this.resolveArtifactPath(candidate))
+    ].map((file) => quoteShellArg(file));
+
+    this.runSSHCommand(
+      [
+        watchdogStopCommand(),
+        "shutdown -c >/dev/null 2>&1 || true",
+        `umount ${remoteDir}/node_modules >/dev/null 2>&1 || true`,
+        `rm -rf ${remoteDir}`,
+        `mkdir -p ${remoteDir}`,
+        `rm -f ${staleFiles.join(" ")}`
+      ].join("\n")
+    );
+  }
+
+  async releaseToPool() {
+    if (this.options.dryRun) {
+      logInfo(`[DRY-RUN] Would keep server warm for ${this.poolIdleMinutes} minutes.`);
+      this.serverId = null;
+      return;
+    }
+
+    // The next build may land on another server, which can only attach the
+    // cache volume once this one has let go of it.
+    await this.detachCacheVolume();
+
+    // A halted server is still billed, so with a watchdog the idle deadline
+    // deletes the server instead of shutting it down; the next claim stops it.
+    this.stopHeartbeat();
+    const idleDeadline = this.watchdogActive
+      ? watchdogStartCommand(
+          renderWatchdogScript({
+            endpoint: this.hcloud.baseUrl,
+            serverId: this.serverId,
+            lifetimeSeconds: this.poolIdleMinutes * 60,
+            heartbeatTimeoutSeconds: 0
+          })
+        )
+      : `shutdown -h +${this.poolIdleMinutes} >/dev/null 2>&1`;
+    this.runSSHCommand(["shutdown -c >/dev/null 2>&1 || true", idleDeadline].join("\n"), { allowFailure: true });
+    this.watchdogActive = false;
+    const labels = { ...this.pooledServer.labels };
+    delete labels[DETACHED_UNTIL_LABEL];
+    await releasePooledServer(this.hcloud, { ...this.pooledServer, labels }, this.poolIdleMinutes);
+    // The firewall stays on the pooled server; 'htzbuild gc' deletes it once unused.
+    this.firewall = null;
+    logSuccess(
+      `Server ${this.serverName} kept warm for ${this.poolIdleMinutes} minutes ('htzbuild servers destroy' removes it)`
+    );
+    this.serverId = null;
+  }
+
+  async finishServer() {
+    if (!this.options.reuse) {
+      await this.deleteServer();
+      return;
+    }
+
+    if (!this.pooledServer && !this.options.dryRun) {
+      this.pooledServer = await this.hcloud.getServer(this.serverId);
+    }
+    await this.releaseToPool();
+  }
+
+  detachedState() {
+    return {
+      id: this.serverName,
+      serverName: this.serverName,
+      serverId: this.serverId,
+      serverIp: this.serverIp,
+      serverType: this.serverType,
+      location: this.location,
+      sshKeyFile: this.sshKeyFile,
+      profile: this.profile,
+      reuse: Boolean(this.options.reuse),
+      projectDir: this.projectDir,
+      buildOutputDir: this.buildOutputDir,
+      artifactTemplate: this.artifactMapping[this.profile] || this.artifactMapping.default,
+      remoteLogPath: this.remoteLogPath,
+      remoteStatusFile: this.remoteStatusFile,
+      historyId: this.historyId,
+      hostPublicKey: this.hostPublicKey,
+      ephemeralKey: this.ephemeralKey,
+      firewall: this.firewall && { id: this.firewall.id, name: this.firewall.name },
+      watchdog: this.watchdogActive,
+      budgetDeadline: this.budgetDeadline,
+      maxCost: this.maxCost,
+      price: this.price,
+      cacheVolume: this.cacheVolume
+        ? {
+            id: this.cacheVolume.id,
+            name: this.cacheVolume.name,
+            linux_device: this.cacheVolume.linux_device
+          }
+        : null,
+      depsCache: this.depsCache && { key: this.depsCache.key, storage: this.depsCache.storage },
+      startedAt: this.buildStartedAt
+    };
+  }
+
+  restoreDetachedState(state) {
+    this.serverName = state.serverName;
+    this.serverId = String(state.serverId);
+    this.serverIp = state.serverIp;
+    this.serverType = state.serverType;
+    this.location = state.location;
+    this.sshKeyFile = state.sshKeyFile;
+    this.ephemeralKey = state.ephemeralKey || null;
+    this.firewall = state.firewall || null;
+    this.watchdogActive = Boolean(state.watchdog);
+    if (state.hostPublicKey) {
+      this.pinHostKey(state.hostPublicKey);
+    }
+    this.projectDir = state.projectDir;
+    this.buildOutputDir = state.buildOutputDir;
+    this.remoteLogPath = state.remoteLogPath;
+    this.remoteStatusFile = state.remoteStatusFile;
+    this.cacheVolume = state.cacheVolume || null;
+    this.depsCache = state.depsCache || null;
+    this.buildStartedAt = state.startedAt;
+    this.buildServerId = this.serverId;
+    this.historyId = state.historyId || this.historyId;
+    this.budgetDeadline = state.budgetDeadline || null;
+    this.maxCost = state.maxCost || this.maxCost;
+    this.price = state.price || null;
+    this.notificationSettings = resolveNotificationSettings(this.config, this.env);
+    registerSecrets(this.notificationSettings.webhooks.map((webhook) => webhook.url));
+  }
+
+  async detach() {
+    if (this.options.dryRun) {
+      logInfo("[DRY-RUN] Would save detached build state and leave the server running.");
+      return;
+    }
+
+    // A halted server cannot be fetched from, so the build's safety-net
+    // shutdown must not outlive this process.
+    this.stopHeartbeat();
+    const cancelled = this.runSSHCommand("shutdown -c >/dev/null 2>&1", { allowFailure: true });
+    if (cancelled.status !== 0) {
+      logWarn("Could not cancel the safety-net shutdown; fetch the build before it halts the server.");
+    }
+
+    await this.labelDetachedServer();
+    const statePath = saveDetachedBuild(this.detachedState());
+    // The server now outlives this process; the state file is its only owner.
+    this.serverId = null;
+    this.ephemeralKey = null;
+    this.firewall = null;
+    logSuccess(`Build detached (state saved to ${statePath})`);
+    logInfo(`  htzbuild status ${this.serverName}   # check progress`);
+    logInfo(`  htzbuild attach ${this.serverName}   # stream the build log`);
+    logInfo(`  htzbuild fetch ${this.serverName}    # download the artifact and delete the server`);
+    logInfo(`  htzbuild cancel ${this.serverName}   # stop the build and delete the server`);
+  }
+
+  // 'htzbuild gc' would otherwise age the server like any other build and
+  // delete it before the artifact is fetched.
+  async labelDetachedServer() {
+    const detachedUntil = Date.now() + this.watchdogLifetimeMs();
+    try {
+      const server = await this.hcloud.getServer(this.serverId);
+      await this.hcloud.updateServer(this.serverId, {
+        labels: { ...server.labels, [DETACHED_UNTIL_LABEL]: String(Math.floor(detachedUntil / 1000)) }
+      });
+    } catch (error) {
+      logWarn(`Could not label the detached server (${error.message}); 'htzbuild gc' may delete it after gc.maxAge.`);
+    }
+  }
+
+  async attachCacheVolume() {
+    if (!this.cacheSettings.enabled) {
+      return;
+    }
+
+    if (this.options.dryRun) {
+      logInfo(
+        `[DRY-RUN] Would attach cache volume ${volumeNameFor(this.cacheSettings, this.location)} at ${this.cacheSettings.mountPath}`
+      );
+      return;
+    }
+
+    try {
+      const volume = await ensureCacheVolume(this.hcloud, this.cacheSettings, this.location);
+      if (!volume) {
+        return;
+      }
+
+      if (volume.server && String(volume.server) !== this.serverId) {
+        logWarn(
+          `Cache volume ${volume.name} is attached to server ${volume.server}; building without cache.`
+        );
+        return;
+      }
+
+      if (!volume.server) {
+        startSpinner(`Attaching cache volume ${volume.name}...`);
+        await this.hcloud.attachVolume(volume.id, this.serverId);
+        logSuccess(`Cache volume attached: ${volume.name}`);
+      }
+      this.cacheVolume = volume;
+    } catch (error) {
+      stopSpinner(false);
+      logWarn(`Cache volume unavailable (${error.message}); building without cache.`);
+    }
+  }
+
+  async detachCacheVolume() {
+    if (!this.cacheVolume || this.options.dryRun) {
+      return;
+    }
+
+    this.runSSHCommand(cacheUnmountScript(this.cacheSettings, this.remoteProjectDir), {
+      allowFailure: true
+    });
+    try {
+      await this.hcloud.detachVolume(this.cacheVolume.id);
+    } catch (error) {
+      logWarn(`Failed to detach cache volume ${this.cacheVolume.name}: ${error.message}`);
+    }
+    this.cacheVolume = null;
+  }
+
+  detachCacheVolumeSync() {
+    if (!this.cacheVolume) {
+      return;
+    }
+
+    this.runSSHCommand(cacheUnmountScript(this.cacheSettings, this.remoteProjectDir), {
+      allowFailure: true
+    });
+    try {
+      this.hcloud.detachVolumeSync(this.cacheVolume.id);
+    } catch (error) {
+      logWarn(`Failed to detach cache volume: ${error.message}`);
+    }
+    this.cacheVolume = null;
+  }
+
+  async deleteServer() {
+    if (!this.serverId) {
+      return;
+    }
+
+    await this.detachCacheVolume();
+
+    if (this.options.dryRun) {
+      logInfo("[DRY-RUN] Would delete server.");
+      this.serverId = null;
+      return;
+    }
+
+    this.stopHeartbeat();
+    const serverId = this.serverId;
+    startSpinner(`Deleting server ${this.serverName} (ID: ${serverId})...`);
+    await this.hcloud.deleteServer(serverId);
+    this.serverId = null;
+    logSuccess("Server deleted");
+    await this.releaseFirewall(serverId);
+    await this.deleteEphemeralKey();
+  }
+
+  async waitForServer() {
+    if (this.options.dryRun) {
+      logInfo("[DRY-RUN] Waiting for server...");
+      return;
+    }
+
+    startSpinner("Waiting for SSH access...");
+    const maxAttempts = 60;
+    let attempt = 0;
+
+    while (attempt < maxAttempts) {
+      const result = this.runSSHCommand("echo ready", { allowFailure: true });
+      if (result.status === 0) {
+        break;
+      }
+      attempt += 1;
+      await this.delay(5000);
+    }
+
+    if (attempt === maxAttempts) {
+      stopSpinner(false);
+      throw new Error("Timeout waiting for SSH access");
     }
 
     updateSpinner("Waiting for cloud-init to finish...");
@@ -486,10 +1769,41 @@ class RemoteBuilder {
       "while fuser /var/lib/dpkg/lock-frontend >/dev/null 2>&1; do echo 'Waiting for apt lock...'; sleep 5; done"
     );
 
+    if (this.reusedServer) {
+      updateSpinner("Resetting pooled server...");
+      this.resetReusedServer();
+    }
+
+    if (this.cacheVolume) {
+      updateSpinner("Mounting cache volume...");
+      try {
+        this.runSSHCommand(
+          cacheMountScript(this.cacheVolume, this.cacheSettings, {
+            remoteProjectDir: this.remoteProjectDir,
+            projectName: this.projectName
+          })
+        );
+        this.cacheMounted = true;
+      } catch (error) {
+        logWarn(`Could not mount cache volume (${error.message}); building without cache.`);
+      }
+    }
+
     logSuccess("Server is ready");
   }
 
   async syncProject() {
+    const ignoreRules = loadIgnoreRules(this.workspaceRoot);
+    if (ignoreRules.length) {
+      logInfo(`Applying ${ignoreRules.length} rule(s) from .htzbuildignore`);
+    }
+    const filterArgs = ignoreRules.flatMap((rule) => ["--filter", rule]);
+
+    if (this.syncSettings.mode === "git") {
+      this.syncGitFiles(filterArgs);
+      return;
+    }
+
     if (this.options.dryRun) {
       logInfo("[DRY-RUN] Syncing project...");
       return;
@@ -500,26 +1814,89 @@ class RemoteBuilder {
     const rsyncArgs = [
       "-avz",
       "--progress",
+      ...filterArgs,
       ...this.syncExcludes.flatMap((value) => ["--exclude", value]),
       "-e",
       this.sshCommandLine,
-      `${this.projectDir}/`,
-      `root@${this.serverIp}:${remoteDir}`
+      `${this.workspaceRoot}/`,
+      this.remoteTarget(remoteDir)
     ];
 
-    this.runSpawnSync("rsync", rsyncArgs, { stdio: "inherit" });
+    this.runSpawnSync("rsync", rsyncArgs);
+    logSuccess("Project synced");
+  }
+
+  // Sends exactly the files git knows about. When the project is the repository
+  // root, a shallow .git with the checked-out commit goes along so the build
+  // sees the real commit hash and working-tree state.
+  syncGitFiles(filterArgs) {
+    const topLevel = gitTopLevel(this.workspaceRoot);
+    const git = topLevel ? resolveGitCommit(this.workspaceRoot) : { commit: null };
+    if (!git.commit) {
+      throw new Error('syncMode "git" requires a git repository with at least one commit');
+    }
+    this.gitInfo = git;
+
+    const files = listGitFiles(this.workspaceRoot, { untracked: this.syncSettings.untracked });
+    const description = `${files.length} files at ${git.commit.slice(0, 12)}${git.dirty ? " (dirty)" : ""}`;
+    const isRepositoryRoot = fs.realpathSync(topLevel) === fs.realpathSync(this.workspaceRoot);
+
+    if (this.options.dryRun) {
+      logInfo(`[DRY-RUN] Would sync ${description} from git`);
+      if (isRepositoryRoot) {
+        logInfo("[DRY-RUN] Would upload a shallow .git with the checked-out commit");
+        this.gitMetadataSynced = true;
+      }
+      return;
+    }
+
+    startSpinner(`Syncing ${description} from git...`);
+    const remoteDir = `${this.remoteProjectDir.replace(/\/$/, "")}/`;
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-sync-"));
+    try {
+      const fileList = path.join(workDir, "files");
+      fs.writeFileSync(fileList, files.join("\0"));
+      this.runSpawnSync("rsync", [
+        "-az",
+        "--from0",
+        `--files-from=${fileList}`,
+        ...filterArgs,
+        "-e",
+        this.sshCommandLine,
+        `${this.workspaceRoot}/`,
+        this.remoteTarget(remoteDir)
+      ]);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    if (isRepositoryRoot) {
+      const gitDir = createShallowGitDir(this.workspaceRoot, git.commit);
+      try {
+        this.runSpawnSync("rsync", [
+          "-az",
+          "--delete",
+          "-e",
+          this.sshCommandLine,
+          `${gitDir}/.git/`,
+          this.remoteTarget(`${remoteDir}.git/`)
+        ]);
+      } finally {
+        fs.rmSync(gitDir, { recursive: true, force: true });
+      }
+      this.gitMetadataSynced = true;
+    } else {
+      logWarn("The workspace is not the repository root; the builder commits the synced files itself.");
+    }
     logSuccess("Project synced");
   }
 
   async runBuild() {
+    this.prepareDepsCache();
     startSpinner(`Preparing build (${this.profile})...`);
 
     if (!this.options.dryRun) logInfo("This may take 10-20 minutes...");
 
-    const expoTokenBase64 = this.env.EXPO_TOKEN
-      ? Buffer.from(this.env.EXPO_TOKEN, "utf8").toString("base64")
-      : null;
-
     const outputTemplate =
       this.artifactMapping[this.profile] || this.artifactMapping.default;
     if (!outputTemplate) {
@@ -527,82 +1904,333 @@ class RemoteBuilder {
       throw new Error("No artifact path defined for this profile");
     }
 
-    const remoteOutputPath = this.interpolateTemplate(outputTemplate);
-    const outputFileAssignment = `OUTPUT_FILE=${quoteShellArg(remoteOutputPath)}`;
-    const logPath = this.remoteLogPath;
+    const remoteOutputPath = this.resolveArtifactPath(outputTemplate);
     const envFile = this.remoteEnvFile;
-    const statusFile = this.remoteStatusFile;
-    const envFileArg = quoteShellArg(envFile);
-    const logPathArg = quoteShellArg(logPath);
-    const statusFileArg = quoteShellArg(statusFile);
+    const statusFileArg = quoteShellArg(this.remoteStatusFile);
+    const buildScriptArg = quoteShellArg(this.remoteBuildScript);
+    const staleArtifacts = [
+      ...new Set([remoteOutputPath, ...this.artifactCandidates.map((c) => this.resolveArtifactPath(c))])
+    ]
+      .map((candidate) => quoteShellArg(candidate))
+      .join(" ");
+
+    const wrapper = renderBuildWrapper({
+      envFile,
+      statusFile: this.remoteStatusFile,
+      projectDir: this.remoteProjectDir,
+      outputFile: remoteOutputPath,
+      artifactCandidates: this.artifactCandidates.map((candidate) =>
+        this.resolveArtifactPath(candidate)
+      ),
+      steps: [
+        ...(this.depsCache
+          ? [{ name: "restore_deps", commands: restoreCommands(this.depsCache, this.remoteProjectDir) }]
+          : []),
+        {
+          name: "install",
+          commands: [
+            ...this.installPlan.setup,
+            ...(this.depsCache ? [skipInstallCommand()] : []),
+            this.installPlan.command
+          ]
+        },
+        ...(this.depsCache
+          ? [{ name: "save_deps", commands: saveCommands(this.depsCache, this.remoteProjectDir) }]
+          : []),
+        {
+          name: "build",
+          commands: [
+            ...(this.appDir ? [`cd ${quoteShellArg(this.remoteAppDir)}`] : []),
+            this.buildCommand
+          ]
+        }
+      ]
+    });
+
+    const buildEnv = this.buildEnvironment();
+    const envFileContent = renderEnvFile({
+      envScript: this.envScript,
+      extraLines: [
+        ...packageManagerEnvScript(this.installPlan),
+        ...(this.cacheMounted ? cacheEnvScript(this.cacheSettings) : [])
+      ],
+      vars: buildEnv
+    });
+    logInfo(`Build environment: ${Object.keys(buildEnv).join(", ")}`);
 
     const scriptLines = [
       `shutdown -h +${Math.ceil(this.maxBuildDurationMs / 60000) + 10} >/dev/null 2>&1`, // Safety net
+      ...(this.watchdogActive ? [heartbeatCommand()] : []),
       "set -e",
       "",
-      `cat <<'ENVFILE' > ${envFileArg}`,
-      ...this.envScript,
-      "ENVFILE",
-      ""
-    ];
-
-    if (expoTokenBase64) {
-      scriptLines.push(
-        `echo "Adding EXPO_TOKEN: YES (${this.expoTokenLength} chars)"`,
-        `echo "export EXPO_TOKEN=$(printf '%s' '${expoTokenBase64}' | base64 -d)" >> ${envFile}`
-      );
-    } else {
-      scriptLines.push(
-        'echo "Adding EXPO_TOKEN: NO"',
-        "# EXPO_TOKEN not provided"
-      );
-    }
-
-    scriptLines.push(
-      `echo "export PROFILE=${quoteShellArg(this.profile)}" >> ${envFileArg}`,
       `cd ${quoteShellArg(this.remoteProjectDir)}`,
       `git config --global --add safe.directory ${quoteShellArg(this.remoteProjectDir)}`,
       'git config --global user.email "build@localhost"',
       'git config --global user.name "EAS Builder"',
-      "git init -q",
-      "git add -A",
-      'git commit -m "Build commit" -q',
+      ...(this.gitMetadataSynced
+        ? ["git reset -q"]
+        : ["git init -q", "git add -A", 'git commit -m "Build commit" -q']),
       "",
-      "nohup bash -c '",
-      `  source ${envFileArg}`,
-      "  echo \"EXPO_TOKEN in subshell: ${EXPO_TOKEN:+SET}${EXPO_TOKEN:-NOT SET}\"",
-      "  echo \"PROFILE in subshell: $PROFILE\"",
-      "  set -e",
-      "  echo \"Installing npm dependencies...\"",
-      "  npm install",
-      "  echo \"Running EAS build...\"",
-      `  ${outputFileAssignment}`,
-      `  ${this.buildCommand}`,
-      `  echo "BUILD_COMPLETE" > ${statusFileArg}`,
-      `' > ${logPathArg} 2>&1 &`,
+      `rm -f ${statusFileArg} ${quoteShellArg(pidFileFor(this.remoteStatusFile))} ${quoteShellArg(DEPS_MARKER)} ${staleArtifacts}`,
+      `cat <<'HTZBUILD_WRAPPER' > ${buildScriptArg}`,
+      wrapper,
+      "HTZBUILD_WRAPPER",
+      ...buildLaunchCommands(this.remoteBuildScript, this.remoteLogPath, this.remoteStatusFile),
       "echo \"Build started in background\""
-    );
+    ];
 
     const script = scriptLines.join("\n");
     stopSpinner();
 
     if (this.options.dryRun) {
+      logInfo(`[DRY-RUN] Would upload ${envFile} (mode 0600)`);
       logInfo("[DRY-RUN] Remote script:");
-      console.log(script);
+      logPlain(script);
       return;
     }
 
+    this.uploadEnvFile(envFileContent);
     this.runSSHCommand(script, { captureOutput: false });
+    this.buildStartedAt = Date.now();
+  }
+
+  buildEnvironment() {
+    const { vars, denied, invalid } = collectBuildEnv(this.env, this.buildEnvSettings);
+    denied.forEach((key) =>
+      logWarn(`Not forwarding ${key} to the build server; Hetzner and storage credentials stay local.`)
+    );
+    invalid.forEach((key) => logWarn(`Skipping invalid environment variable name: ${key}`));
+    const gitVars = this.gitInfo
+      ? { HTZBUILD_GIT_COMMIT: this.gitInfo.commit, HTZBUILD_GIT_DIRTY: String(this.gitInfo.dirty) }
+      : {};
+    const depsVars = (this.depsCache && this.depsCache.urls) || {};
+    return { ...vars, ...gitVars, ...depsVars, PROFILE: this.profile };
+  }
+
+  // Resolves the cache key on the builder itself (platform and Node version come
+  // from the image) before the build script is written. Local tarballs are
+  // uploaded up front; S3 objects are fetched by the builder through
+  // pre-signed URLs handed over in the env file.
+  prepareDepsCache() {
+    const settings = this.depsCacheSettings;
+    if (!settings.enabled) {
+      return;
+    }
+    if (!this.installPlan.lockfile) {
+      logWarn("The dependency cache needs a lockfile; installing without it.");
+      return;
+    }
+    if (this.cacheSettings.enabled && this.cacheSettings.nodeModules) {
+      logWarn("depsCache is ignored while cache.nodeModules keeps node_modules on the cache volume.");
+      return;
+    }
+
+    const runtime = this.options.dryRun
+      ? { platform: "linux-x86_64", nodeVersion: "dry-run" }
+      : parseRuntime(this.runSSHCommand(runtimeCommand()).stdout);
+    const key = depsCacheKey({
+      lockfileContent: fs.readFileSync(path.join(this.workspaceRoot, this.installPlan.lockfile)),
+      installCommand: this.installPlan.command,
+      ...runtime
+    });
+    this.depsCache = { key, storage: settings.storage, result: null, saved: false };
+
+    if (settings.storage === "s3") {
+      const s3 = resolveS3Settings(settings.s3, this.env, "depsCache.s3");
+      const objectKey = `${settings.s3.prefix || ""}${key}.tar.gz`;
+      const expiresSeconds = this.maxBuildDurationMs / 1000 + 3600;
+      this.depsCache.urls = {
+        [GET_URL_VAR]: presignUrl(s3, { method: "GET", key: objectKey, expiresSeconds }),
+        [PUT_URL_VAR]: presignUrl(s3, { method: "PUT", key: objectKey, expiresSeconds })
+      };
+      registerSecrets(Object.values(this.depsCache.urls));
+      logInfo(`Dependency cache key: ${key} (s3://${s3.bucket}/${objectKey})`);
+      return;
+    }
+
+    const tarball = localTarballPath(settings, key);
+    if (!fs.existsSync(tarball)) {
+      logInfo(`Dependency cache key: ${key} (not cached yet)`);
+      return;
+    }
+    logInfo(`Dependency cache key: ${key}; uploading ${tarball}`);
+    this.runSpawnSync("rsync", ["-a", "-e", this.sshCommandLine, tarball, this.remoteTarget(DEPS_TARBALL)]);
+    if (!this.options.dryRun) {
+      const now = new Date();
+      fs.utimesSync(tarball, now, now);
+    }
+  }
+
+  // Never fails the build: a cache that could not be stored only costs the
+  // next build its hit.
+  finishDepsCache() {
+    if (!this.depsCache || this.options.dryRun) {
+      return;
+    }
+    try {
+      const marker = this.runSSHCommand(`cat ${quoteShellArg(DEPS_MARKER)}`, { allowFailure: true });
+      const state = String(marker.stdout || "").trim();
+      this.depsCache.result = state === "hit" ? "hit" : "miss";
+      this.depsCache.saved = state === "saved";
+
+      if (this.depsCache.saved && this.depsCache.storage === "local") {
+        const tarball = localTarballPath(this.depsCacheSettings, this.depsCache.key);
+        const partial = `${tarball}.partial`;
+        fs.mkdirSync(path.dirname(tarball), { recursive: true });
+        startSpinner("Downloading dependency cache...");
+        try {
+          this.runSpawnSync("rsync", ["-a", "-e", this.sshCommandLine, this.remoteTarget(DEPS_TARBALL), partial]);
+          fs.renameSync(partial, tarball);
+        } finally {
+          fs.rmSync(partial, { force: true });
+        }
+        stopSpinner();
+        pruneLocalCache(this.depsCacheSettings);
+      }
+    } catch (error) {
+      stopSpinner(false);
+      this.depsCache.saved = false;
+      logWarn(`Could not store the dependency cache: ${error.message}`);
+    }
+  }
+
+  logDepsCache() {
+    if (!this.depsCache || !this.depsCache.result) {
+      return;
+    }
+    const { key, result, saved } = this.depsCache;
+    if (result === "hit") {
+      logInfo(`Dependency cache: hit (${key})`);
+    } else {
+      logInfo(`Dependency cache: miss (${saved ? `saved as ${key}` : "not saved"})`);
+    }
+  }
+
+  uploadEnvFile(content) {
+    this.uploadSecretFile(this.remoteEnvFile, content);
+  }
+
+  // Secrets travel over the SSH channel's stdin, never on a command line.
+  uploadSecretFile(remotePath, content) {
+    const fileArg = quoteShellArg(remotePath);
+    this.runSSHCommand(`umask 077 && cat > ${fileArg} && chmod 600 ${fileArg}`, {
+      input: content
+    });
+  }
+
+  // Detached builds wait for 'htzbuild fetch', so their servers get
+  // detachedHours on top of the build itself.
+  watchdogLifetimeMs() {
+    const graceMs = this.watchdogSettings.graceMinutes * 60 * 1000;
+    const detachedMs = this.options.detach ? this.watchdogSettings.detachedHours * 60 * 60 * 1000 : 0;
+    const lifetimeMs = this.maxBuildDurationMs + graceMs + detachedMs;
+    if (!this.budgetDeadline) {
+      return lifetimeMs;
+    }
+    return Math.max(Math.min(lifetimeMs, this.budgetDeadline - Date.now() + graceMs), graceMs);
+  }
+
+  // A halted server is still billed, so the watchdog deletes the server through
+  // the API instead of relying on the safety-net shutdown.
+  async startWatchdog() {
+    if (!this.watchdogSettings.enabled) {
+      return null;
+    }
+
+    // Hetzner tokens are project-wide, so a separate token cannot narrow what
+    // the watchdog could delete; it keeps HCLOUD_TOKEN off the builder and can
+    // be revoked on its own.
+    const token = this.env.HETZNER_WATCHDOG_TOKEN;
+    if (!token) {
+      logWarn("HETZNER_WATCHDOG_TOKEN is not set; building without a watchdog.");
+      return null;
+    }
+
+    const lifetimeMinutes = Math.ceil(this.watchdogLifetimeMs() / 60000);
+    const heartbeatMinutes = this.options.detach ? 0 : this.watchdogSettings.heartbeatMinutes;
+    const summary = heartbeatMinutes
+      ? `${lifetimeMinutes} minutes, or after ${heartbeatMinutes} minutes without a client heartbeat`
+      : `${lifetimeMinutes} minutes`;
+
+    if (this.options.dryRun) {
+      logInfo(`[DRY-RUN] Would start a watchdog that deletes the server after ${summary}`);
+      return { watchdog: { lifetimeMinutes, heartbeatMinutes } };
+    }
+
+    this.uploadSecretFile(WATCHDOG_TOKEN_FILE, watchdogAuthHeader(token));
+    this.runSSHCommand(
+      watchdogStartCommand(
+        renderWatchdogScript({
+          endpoint: this.hcloud.baseUrl,
+          serverId: this.serverId,
+          lifetimeSeconds: lifetimeMinutes * 60,
+          heartbeatTimeoutSeconds: heartbeatMinutes * 60
+        })
+      )
+    );
+    this.watchdogActive = true;
+    if (heartbeatMinutes) {
+      this.startHeartbeat(heartbeatMinutes);
+    }
+    logInfo(`Watchdog will delete the server after ${summary}`);
+    return { watchdog: { lifetimeMinutes, heartbeatMinutes } };
+  }
+
+  // Sync, the deps cache upload and the artifact download run without status
+  // polls, so the heartbeat comes from a loop beside this process instead.
+  startHeartbeat(heartbeatMinutes) {
+    const script = heartbeatLoopScript({
+      parentPid: process.pid,
+      intervalSeconds: Math.max(15, Math.floor((heartbeatMinutes * 60) / 3)),
+      sshCommand: ["ssh", ...this.sshArgs, "-o", "BatchMode=yes", "-o", "ConnectTimeout=10", this.sshTarget]
+    });
+    this.heartbeatProcess = childProcess.spawn("bash", ["-c", script], { stdio: "ignore" });
+    this.heartbeatProcess.on("error", (error) => {
+      logWarn(`Client heartbeat stopped: ${error.message}`);
+    });
+    this.heartbeatProcess.unref();
+  }
+
+  stopHeartbeat() {
+    if (!this.heartbeatProcess) {
+      return;
+    }
+    this.heartbeatProcess.kill();
+    this.heartbeatProcess = null;
+  }
+
+  stopRemoteBuild() {
+    this.runSSHCommand(buildStopCommand(this.remoteStatusFile), { allowFailure: true });
+  }
+
+  abortBuild(message, error) {
+    logError(message);
+    this.stopRemoteBuild();
+    throw error;
+  }
+
+  // Every poll doubles as the watchdog heartbeat.
+  pollBuildStatus() {
+    const pollCommand = buildStatusPollCommand(this.remoteStatusFile);
+    const command = this.watchdogActive ? `${heartbeatCommand()}; ${pollCommand}` : pollCommand;
+    const result = this.runSSHCommand(command, {
+      allowFailure: true
+    });
+    if (result.status !== 0) {
+      return null;
+    }
+    return parseBuildStatusPoll(result.stdout);
   }
 
   async monitorBuild() {
     logInfo("Monitoring build progress...");
-    const startedAt = Date.now();
+    const startedAt = this.buildStartedAt || Date.now();
+    let failedPolls = 0;
 
     // Start streaming logs in the background
     const tailArgs = [
       ...this.sshArgs,
-      `root@${this.serverIp}`,
+      this.sshTarget,
       "tail",
       "-f",
       "-n",
@@ -612,58 +2240,59 @@ class RemoteBuilder {
 
     const tailProcess = childProcess.spawn("ssh", tailArgs, {
       env: this.env,
-      stdio: ["ignore", "inherit", "ignore"] // Stream stdout directly to user
+      stdio: ["ignore", "pipe", "ignore"]
     });
+    // Stream the log line by line so secrets echoed by the build are masked.
+    readline.createInterface({ input: tailProcess.stdout }).on("line", (line) => logPlain(line));
 
     try {
       while (true) {
         const elapsedMs = Date.now() - startedAt;
         if (elapsedMs > this.maxBuildDurationMs) {
-          logError(
-            `Build timed out after ${Math.round(elapsedMs / 60000)} minutes; stopping remote processes`
-          );
-          this.runSSHCommand(
-            "pkill -f 'eas-cli build' || true; pkill -f 'gradlew' || true; pkill -f 'npm install' || true",
-            { allowFailure: true }
+          this.abortBuild(
+            `Build timed out after ${Math.round(elapsedMs / 60000)} minutes; stopping remote processes`,
+            new Error("Remote build timed out")
           );
-          throw new Error("Remote build timed out");
         }
 
-        const statusResult = this.runSSHCommand(
-          `test -f ${quoteShellArg(this.remoteStatusFile)}`,
-          { allowFailure: true }
-        );
+        if (this.budgetDeadline && Date.now() > this.budgetDeadline) {
+          this.abortBuild(
+            `Build would exceed the budget of ${formatCost(this.maxCost, this.price.currency)}; stopping remote processes`,
+            new BuildError("Remote build stopped to stay within budget", "budget")
+          );
+        }
 
-        if (statusResult.status === 0) {
-          logSuccess("Build completed");
-          break;
+        const poll = this.pollBuildStatus();
+        if (!poll) {
+          failedPolls += 1;
+          if (failedPolls >= MAX_FAILED_STATUS_POLLS) {
+            throw new Error("Lost SSH connection to the build server");
+          }
+          await this.delay(BUILD_POLL_INTERVAL_MS);
+          continue;
         }
+        failedPolls = 0;
 
-        const processes = this.runSSHCommand(
-          "pgrep -f 'eas-cli build' >/dev/null || pgrep -f 'npm install' >/dev/null || pgrep -f 'gradlew' >/dev/null",
-          { allowFailure: true }
-        );
+        const { status, alive } = poll;
+        this.buildStatus = status;
 
-        if (processes.status !== 0) {
-          let artifactCheck = false;
-          for (const candidate of this.artifactCandidates) {
-            const remoteCandidate = this.interpolateTemplate(candidate);
-            const candidateResult = this.runSSHCommand(
-              `test -f ${quoteShellArg(remoteCandidate)}`,
-              { allowFailure: true }
-            );
-            if (candidateResult.status === 0) {
-              artifactCheck = true;
-              break;
-            }
-          }
+        if (status && status.phase === BUILD_PHASES.succeeded) {
+          logSuccess(
+            `Build completed in ${Math.round((status.finishedAt - status.startedAt) / 60)} minutes`
+          );
+          break;
+        }
 
-          if (artifactCheck) {
-            logSuccess("Build completed");
-            break;
-          }
+        if (status && status.phase === BUILD_PHASES.failed) {
+          logError(`Build failed during the ${status.step} step (exit code ${status.exitCode}).`);
+          throw new Error(
+            `Remote build failed during ${status.step} (exit code ${status.exitCode})`
+          );
+        }
 
-          logError("Build process died unexpectedly.");
+        if (!alive) {
+          const step = status ? ` during the ${status.step} step` : "";
+          logError(`Build process died unexpectedly${step}.`);
           throw new Error("Remote build failed");
         }
 
@@ -676,36 +2305,114 @@ class RemoteBuilder {
 
   retrieveArtifact() {
     startSpinner("Retrieving build artifact...");
+    const remoteArtifact = this.findRemoteArtifact();
+    if (!remoteArtifact) {
+      stopSpinner(false);
+      throw new Error("No build artifact was found on the remote server");
+    }
+
+    const timestamp = this.timestamp();
+    const upload = this.uploadSettings || resolveUploadSettings(this.config, this.env);
+    if (upload.enabled) {
+      this.uploadArtifact(remoteArtifact, upload, timestamp);
+      if (upload.skipDownload) {
+        this.readRemoteChecksum(remoteArtifact);
+        stopSpinner();
+        logInfo("Skipping the local download (upload.skipDownload)");
+        return;
+      }
+    }
+
     fs.mkdirSync(this.buildOutputDir, { recursive: true });
+    this.artifactName = `build-${timestamp}${path.extname(remoteArtifact)}`;
+    this.copyArtifact(remoteArtifact, this.artifactName);
+  }
+
+  findRemoteArtifact() {
+    if (this.buildStatus && this.buildStatus.artifact) {
+      return this.buildStatus.artifact;
+    }
 
     for (const candidate of this.artifactCandidates) {
-      const remoteCandidate = this.interpolateTemplate(candidate);
+      const remoteCandidate = this.resolveArtifactPath(candidate);
       const artifactCheck = this.runSSHCommand(
         `test -f ${quoteShellArg(remoteCandidate)}`,
         { allowFailure: true }
       );
 
       if (artifactCheck.status === 0) {
-        const extension = path.extname(remoteCandidate);
-        this.artifactName = `build-${this.timestamp()}${extension}`;
-        this.copyArtifact(remoteCandidate, this.artifactName);
-        return;
+        return remoteCandidate;
+      }
+    }
+
+    return null;
+  }
+
+  // The builder uploads straight to the bucket, so the artifact never has to
+  // pass through this machine. Without a local copy the upload is the only
+  // copy, and a failure fails the build.
+  uploadArtifact(remoteArtifact, settings, timestamp) {
+    const git = resolveGitCommit(this.projectDir);
+    const key = renderUploadKey(settings.key, {
+      PROFILE: this.profile,
+      PROJECT: this.projectName,
+      TIMESTAMP: timestamp,
+      GIT_SHA: git.commit || "unknown",
+      GIT_SHORT_SHA: git.commit ? git.commit.slice(0, 12) : "unknown",
+      EXT: path.extname(remoteArtifact),
+      FILENAME: path.basename(remoteArtifact)
+    });
+    const location = `s3://${settings.bucket}/${key}`;
+    const { putUrl, downloadUrl } = presignUpload(settings, key);
+    registerSecrets([putUrl]);
+
+    updateSpinner(`Uploading artifact to ${location}...`);
+    try {
+      this.runSSHCommand(uploadCommand(remoteArtifact), { input: putUrl });
+    } catch (error) {
+      if (settings.skipDownload) {
+        stopSpinner(false);
+        throw new Error(`Artifact upload failed: ${error.message}`);
       }
+      logWarn(`Artifact upload failed: ${error.message}`);
+      return;
     }
+    this.upload = {
+      location,
+      url: downloadUrl,
+      expiresAt: downloadUrl ? new Date(Date.now() + settings.presignHours * 3600 * 1000).toISOString() : null
+    };
+    logSuccess(`Artifact uploaded: ${location}`);
+  }
+
+  readRemoteChecksum(remoteArtifact) {
+    const result = this.runSSHCommand(remoteChecksumCommand(remoteArtifact));
+    const [sha256, size] = String(result.stdout).trim().split(/\s+/);
+    this.artifactSha256 = sha256 || null;
+    this.artifactSizeBytes = size ? Number(size) : null;
+  }
 
-    stopSpinner(false);
-    throw new Error("No build artifact was found on the remote server");
+  logUpload() {
+    if (!this.upload) {
+      return;
+    }
+    logInfo(`Uploaded to: ${this.upload.location}`);
+    if (this.upload.url) {
+      logInfo(`Download URL (valid until ${this.upload.expiresAt}): ${this.upload.url}`);
+    }
   }
 
   copyArtifact(remotePath, localName) {
     const localPath = path.join(this.buildOutputDir, localName);
     const scpArgs = [
       ...this.sshArgs,
-      `root@${this.serverIp}:${remotePath}`,
+      this.remoteTarget(remotePath),
       localPath
     ];
 
-    this.runSpawnSync("scp", scpArgs, { stdio: "inherit" });
+    this.runSpawnSync("scp", scpArgs);
+    this.artifactSha256 = sha256File(localPath);
+    this.artifactSizeBytes = fs.statSync(localPath).size;
     logSuccess(`Artifact saved: ${localPath}`);
   }
 
@@ -717,11 +2424,18 @@ class RemoteBuilder {
     return template
       .replace(/\${PROFILE}/g, this.profile)
       .replace(/\${REMOTE_PROJECT_DIR}/g, this.remoteProjectDir)
+      .replace(/\${REMOTE_APP_DIR}/g, this.remoteAppDir)
       .replace(/\${REMOTE_ENV_FILE}/g, this.remoteEnvFile)
       .replace(/\${REMOTE_LOG_PATH}/g, this.remoteLogPath)
       .replace(/\${REMOTE_STATUS_FILE}/g, this.remoteStatusFile);
   }
 
+  // Relative artifact paths are relative to the app directory on the builder,
+  // where the build command runs.
+  resolveArtifactPath(template) {
+    return resolveRemotePath(this.interpolateTemplate(template), this.remoteAppDir);
+  }
+
   timestamp() {
     return new Date()
       .toISOString()
@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+
+const ACCESS_KEY_ENV = "HTZBUILD_S3_ACCESS_KEY_ID";
+const SECRET_KEY_ENV = "HTZBUILD_S3_SECRET_ACCESS_KEY";
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+// Credentials only ever come from the environment and stay on this machine;
+// the builder gets pre-signed URLs instead.
+function resolveS3Settings(section, env, name) {
+  const settings = {
+    region: "us-east-1",
+    pathStyle: true,
+    ...(section || {}),
+    accessKeyId: env[ACCESS_KEY_ENV],
+    secretAccessKey: env[SECRET_KEY_ENV]
+  };
+
+  if (!settings.endpoint || !settings.bucket) {
+    throw new Error(`${name} requires an endpoint and a bucket`);
+  }
+  if (!settings.accessKeyId || !settings.secretAccessKey) {
+    throw new Error(`${name} requires ${ACCESS_KEY_ENV} and ${SECRET_KEY_ENV}`);
+  }
+  return settings;
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest();
+}
+
+function objectLocation(settings, key) {
+  const endpoint = new URL(/^https?:\/\//.test(settings.endpoint) ? settings.endpoint : `https://${settings.endpoint}`);
+  const encodedKey = key.split("/").map(encodeRfc3986).join("/");
+  if (settings.pathStyle) {
+    return { origin: endpoint.origin, host: endpoint.host, path: `/${settings.bucket}/${encodedKey}` };
+  }
+  const host = `${settings.bucket}.${endpoint.host}`;
+  return { origin: `${endpoint.protocol}//${host}`, host, path: `/${encodedKey}` };
+}
+
+// AWS Signature Version 4 in query-string form, which every S3-compatible store
+// (Hetzner Object Storage, MinIO, R2, ...) accepts for plain GET/PUT requests.
+function presignUrl(settings, { method = "GET", key, expiresSeconds = 3600, now = new Date() }) {
+  const { origin, host, path } = objectLocation(settings, key);
+  const amzDate = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${settings.region}/s3/aws4_request`;
+
+  const query = {
+    "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+    "X-Amz-Credential": `${settings.accessKeyId}/${scope}`,
+    "X-Amz-Date": amzDate,
+    "X-Amz-Expires": String(Math.min(Math.ceil(expiresSeconds), MAX_PRESIGN_SECONDS)),
+    "X-Amz-SignedHeaders": "host"
+  };
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join("&");
+
+  const canonicalRequest = [method, path, canonicalQuery, `host:${host}`, "", "host", "UNSIGNED-PAYLOAD"].join("\n");
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    crypto.createHash("sha256").update(canonicalRequest).digest("hex")
+  ].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${settings.secretAccessKey}`, date), settings.region)
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  return `${origin}${path}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+}
+
+module.exports = {
+  ACCESS_KEY_ENV,
+  SECRET_KEY_ENV,
+  resolveS3Settings,
+  presignUrl
+};
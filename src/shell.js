@@ -0,0 +1,9 @@
+function quoteShellArg(value) {
+  if (/^[A-Za-z0-9_./=-]+$/.test(value)) {
+    return value;
+  }
+
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+module.exports = { quoteShellArg };
@@ -0,0 +1,62 @@
+const childProcess = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+const EPHEMERAL_KEY_LABEL = "htzbuild-ephemeral-key";
+const EPHEMERAL_KEY_LABEL_VALUE = "true";
+const SERVER_LABEL = "htzbuild-server";
+const KEY_DIR_PREFIX = "htzbuild-key-";
+
+// Throwaway client keys live in their own directory so cleanup can remove the
+// private key, the public key and anything ssh wrote next to them at once.
+function generateClientKey(parentDir, comment) {
+  fs.mkdirSync(parentDir, { recursive: true });
+  const dir = fs.mkdtempSync(path.join(parentDir, KEY_DIR_PREFIX));
+  const keyFile = path.join(dir, "id_ed25519");
+  childProcess.execFileSync(
+    "ssh-keygen",
+    ["-q", "-t", "ed25519", "-N", "", "-C", comment, "-f", keyFile],
+    { stdio: "ignore" }
+  );
+  return {
+    dir,
+    keyFile,
+    publicKey: fs.readFileSync(`${keyFile}.pub`, "utf8").trim()
+  };
+}
+
+function removeClientKey(dir) {
+  if (dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// A run killed with SIGKILL never removes its key directory. Directories older
+// than maxAgeMs that no detached build still points at are left over.
+function sweepClientKeys(parentDir, { maxAgeMs, keep = [], dryRun = false, now = Date.now() }) {
+  if (!fs.existsSync(parentDir)) {
+    return [];
+  }
+  const stale = fs
+    .readdirSync(parentDir)
+    .filter((name) => name.startsWith(KEY_DIR_PREFIX))
+    .map((name) => path.join(parentDir, name))
+    .filter((dir) => !keep.includes(dir))
+    .filter((dir) => {
+      const stat = fs.statSync(dir);
+      return stat.isDirectory() && now - stat.mtimeMs > maxAgeMs;
+    });
+  if (!dryRun) {
+    stale.forEach(removeClientKey);
+  }
+  return stale;
+}
+
+module.exports = {
+  EPHEMERAL_KEY_LABEL,
+  EPHEMERAL_KEY_LABEL_VALUE,
+  SERVER_LABEL,
+  generateClientKey,
+  removeClientKey,
+  sweepClientKeys
+};
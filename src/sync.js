@@ -0,0 +1,115 @@
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DEFAULT_CONFIG } = require("./configLoader");
+
+const SYNC_MODES = ["rsync", "git"];
+const IGNORE_FILE = ".htzbuildignore";
+
+function resolveSyncSettings(config) {
+  const mode = (config && config.syncMode) || DEFAULT_CONFIG.syncMode;
+  if (!SYNC_MODES.includes(mode)) {
+    throw new Error(`Invalid syncMode "${mode}" (expected one of: ${SYNC_MODES.join(", ")})`);
+  }
+  return { mode, untracked: Boolean(config && config.syncUntracked) };
+}
+
+// Translates gitignore syntax into rsync filter rules. rsync stops at the first
+// matching rule while gitignore lets the last one win, so the order is reversed;
+// patterns with an inner slash are anchored to the project root like in git.
+function parseIgnoreFile(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(?<!\\)\s+$/, ""))
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const include = line.startsWith("!");
+      let pattern = (include ? line.slice(1) : line).replace(/^\\([#!])/, "$1");
+      const inner = pattern.replace(/\/$/, "");
+      if (inner.includes("/") && !pattern.startsWith("/") && !pattern.startsWith("**/")) {
+        pattern = `/${pattern}`;
+      }
+      return `${include ? "+" : "-"} ${pattern}`;
+    })
+    .reverse();
+}
+
+function loadIgnoreRules(projectDir) {
+  const ignorePath = path.join(projectDir, IGNORE_FILE);
+  if (!fs.existsSync(ignorePath)) {
+    return [];
+  }
+  return parseIgnoreFile(fs.readFileSync(ignorePath, "utf8"));
+}
+
+function git(projectDir, args) {
+  return childProcess.execFileSync("git", args, {
+    cwd: projectDir,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"],
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+function gitTopLevel(projectDir) {
+  try {
+    return git(projectDir, ["rev-parse", "--show-toplevel"]).trim();
+  } catch {
+    return null;
+  }
+}
+
+// Tracked files include staged additions; files deleted in the working tree
+// are still in the index and are skipped.
+function listGitFiles(projectDir, options = {}) {
+  const args = ["ls-files", "-z", "--cached"];
+  if (options.untracked) {
+    args.push("--others", "--exclude-standard");
+  }
+  const files = git(projectDir, args).split("\0").filter(Boolean);
+  return [...new Set(files)].filter((file) => {
+    try {
+      return !fs.lstatSync(path.join(projectDir, file)).isDirectory();
+    } catch {
+      return false;
+    }
+  });
+}
+
+// A depth-1 fetch of the checked-out commit gives the builder a .git directory
+// with the real commit hash without uploading the project's history.
+function createShallowGitDir(projectDir, commit) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-git-"));
+  try {
+    git(dir, ["init", "-q"]);
+    git(dir, ["fetch", "-q", "--depth", "1", projectDir, commit]);
+    let branch = null;
+    try {
+      branch = git(projectDir, ["symbolic-ref", "-q", "--short", "HEAD"]).trim();
+    } catch {
+      // Detached HEAD
+    }
+    if (branch) {
+      git(dir, ["update-ref", `refs/heads/${branch}`, commit]);
+      git(dir, ["symbolic-ref", "HEAD", `refs/heads/${branch}`]);
+    } else {
+      git(dir, ["update-ref", "--no-deref", "HEAD", commit]);
+    }
+    return dir;
+  } catch (error) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  SYNC_MODES,
+  IGNORE_FILE,
+  resolveSyncSettings,
+  parseIgnoreFile,
+  loadIgnoreRules,
+  gitTopLevel,
+  listGitFiles,
+  createShallowGitDir
+};
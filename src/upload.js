@@ -0,0 +1,51 @@
+const { DEFAULT_CONFIG } = require("./configLoader");
+const { presignUrl, resolveS3Settings } = require("./s3");
+const { quoteShellArg } = require("./shell");
+
+const MAX_PRESIGN_HOURS = 7 * 24;
+
+function resolveUploadSettings(config, env) {
+  const settings = { ...DEFAULT_CONFIG.upload, ...((config && config.upload) || {}) };
+  if (!settings.enabled) {
+    return settings;
+  }
+  if (settings.presignHours <= 0 || settings.presignHours > MAX_PRESIGN_HOURS) {
+    throw new Error(`upload.presignHours must be between 1 and ${MAX_PRESIGN_HOURS}`);
+  }
+  return { ...settings, s3: resolveS3Settings(settings, env, "upload") };
+}
+
+// Unknown placeholders are left alone so a typo shows up in the object key
+// instead of silently disappearing.
+function renderUploadKey(template, vars) {
+  return template
+    .replace(/\${([A-Z_]+)}/g, (match, name) => (name in vars ? String(vars[name]) : match))
+    .replace(/^\/+/, "");
+}
+
+// The pre-signed URL travels over stdin so it never shows up in a process list.
+function uploadCommand(remotePath) {
+  return `url="$(cat)" && curl -fsS -T ${quoteShellArg(remotePath)} "$url"`;
+}
+
+function remoteChecksumCommand(remotePath) {
+  const file = quoteShellArg(remotePath);
+  return `sha256sum ${file} | cut -d " " -f 1 && stat -c %s ${file}`;
+}
+
+function presignUpload(settings, key) {
+  return {
+    putUrl: presignUrl(settings.s3, { method: "PUT", key, expiresSeconds: 3600 }),
+    downloadUrl: settings.presign
+      ? presignUrl(settings.s3, { method: "GET", key, expiresSeconds: settings.presignHours * 3600 })
+      : null
+  };
+}
+
+module.exports = {
+  resolveUploadSettings,
+  renderUploadKey,
+  uploadCommand,
+  remoteChecksumCommand,
+  presignUpload
+};
@@ -0,0 +1,103 @@
+const { DEFAULT_CONFIG } = require("./configLoader");
+const { quoteShellArg } = require("./shell");
+
+const WATCHDOG_SCRIPT = "/root/htzbuild-watchdog.sh";
+const WATCHDOG_PID_FILE = "/root/htzbuild-watchdog.pid";
+const WATCHDOG_LOG = "/root/htzbuild-watchdog.log";
+const WATCHDOG_TOKEN_FILE = "/root/htzbuild-watchdog-token";
+const HEARTBEAT_FILE = "/root/htzbuild-heartbeat";
+const CHECK_INTERVAL_SECONDS = 30;
+const DELETE_ATTEMPTS = 5;
+
+function resolveWatchdogSettings(config) {
+  return { ...DEFAULT_CONFIG.watchdog, ...((config && config.watchdog) || {}) };
+}
+
+// The deadline is computed from the server's own clock, so a skewed client
+// clock cannot shorten or extend the server's lifetime. A heartbeat timeout
+// of 0 disables the heartbeat check (detached builds have no client watching).
+function renderWatchdogScript({ endpoint, serverId, lifetimeSeconds, heartbeatTimeoutSeconds }) {
+  const token = quoteShellArg(WATCHDOG_TOKEN_FILE);
+  const heartbeat = quoteShellArg(HEARTBEAT_FILE);
+  const serverUrl = quoteShellArg(`${endpoint.replace(/\/$/, "")}/servers/${serverId}`);
+
+  return [
+    "#!/usr/bin/env bash",
+    `DEADLINE=$(( $(date +%s) + ${Math.ceil(lifetimeSeconds)} ))`,
+    `HEARTBEAT_TIMEOUT=${Math.ceil(heartbeatTimeoutSeconds)}`,
+    `touch ${heartbeat}`,
+    "while true; do",
+    "  now=$(date +%s)",
+    `  last=$(stat -c %Y ${heartbeat} 2>/dev/null || echo 0)`,
+    '  reason=""',
+    '  if [ "$now" -ge "$DEADLINE" ]; then',
+    '    reason="deadline reached"',
+    '  elif [ "$HEARTBEAT_TIMEOUT" -gt 0 ] && [ $(( now - last )) -ge "$HEARTBEAT_TIMEOUT" ]; then',
+    '    reason="no client heartbeat"',
+    "  fi",
+    '  if [ -n "$reason" ]; then',
+    '    echo "$(date -Is) deleting server: $reason"',
+    `    for attempt in $(seq ${DELETE_ATTEMPTS}); do`,
+    `      curl -fsS -X DELETE -H @${token} ${serverUrl} && exit 0`,
+    `      sleep ${CHECK_INTERVAL_SECONDS}`,
+    "    done",
+    '    echo "$(date -Is) could not delete the server; shutting down instead"',
+    "    shutdown -h now",
+    "    exit 1",
+    "  fi",
+    `  sleep ${CHECK_INTERVAL_SECONDS}`,
+    "done"
+  ].join("\n");
+}
+
+// The token file holds the whole header so curl reads it with -H @file and
+// the token never appears in the process list.
+function watchdogAuthHeader(token) {
+  return `Authorization: Bearer ${token}\n`;
+}
+
+function watchdogStartCommand(script) {
+  const scriptArg = quoteShellArg(WATCHDOG_SCRIPT);
+  const pidArg = quoteShellArg(WATCHDOG_PID_FILE);
+  return [
+    `kill "$(cat ${pidArg} 2>/dev/null)" 2>/dev/null || true`,
+    `cat <<'HTZBUILD_WATCHDOG' > ${scriptArg}`,
+    script,
+    "HTZBUILD_WATCHDOG",
+    `chmod 700 ${scriptArg}`,
+    `nohup setsid bash ${scriptArg} >> ${quoteShellArg(WATCHDOG_LOG)} 2>&1 < /dev/null &`,
+    `echo $! > ${pidArg}`
+  ].join("\n");
+}
+
+function watchdogStopCommand() {
+  const pidArg = quoteShellArg(WATCHDOG_PID_FILE);
+  return `kill "$(cat ${pidArg} 2>/dev/null)" 2>/dev/null || true; rm -f ${pidArg} ${quoteShellArg(WATCHDOG_TOKEN_FILE)}`;
+}
+
+function heartbeatCommand() {
+  return `touch ${quoteShellArg(HEARTBEAT_FILE)}`;
+}
+
+// Runs on the client beside the build: rsync, scp and the other blocking calls
+// stall Node's event loop, so a timer in this process could not keep the
+// heartbeat going. The loop ends on its own once the htzbuild process is gone.
+function heartbeatLoopScript({ parentPid, intervalSeconds, sshCommand }) {
+  return [
+    `while kill -0 ${Number(parentPid)} 2>/dev/null; do`,
+    `  ${sshCommand.map(quoteShellArg).join(" ")} ${quoteShellArg(heartbeatCommand())} >/dev/null 2>&1 < /dev/null`,
+    `  sleep ${Math.max(1, Math.floor(intervalSeconds))}`,
+    "done"
+  ].join("\n");
+}
+
+module.exports = {
+  WATCHDOG_TOKEN_FILE,
+  resolveWatchdogSettings,
+  renderWatchdogScript,
+  watchdogAuthHeader,
+  watchdogStartCommand,
+  watchdogStopCommand,
+  heartbeatCommand,
+  heartbeatLoopScript
+};
@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+
+// The workspace root is what gets synced and where dependencies are installed;
+// the app directory (relative to it) is where the EAS build runs. Without
+// either option both are the current directory, as before.
+function resolveWorkspaceSettings(config, cwd = process.cwd()) {
+  const workspaceRoot = path.resolve(cwd, (config && config.workspaceRoot) || ".");
+  const appPath =
+    config && config.appDir ? path.resolve(workspaceRoot, config.appDir) : path.resolve(cwd);
+  const appDir = path.relative(workspaceRoot, appPath);
+
+  if (appDir.startsWith("..") || path.isAbsolute(appDir)) {
+    throw new Error(`appDir ${appPath} is not inside workspaceRoot ${workspaceRoot}`);
+  }
+  if (!fs.existsSync(appPath)) {
+    throw new Error(`appDir not found: ${appPath}`);
+  }
+
+  return {
+    workspaceRoot,
+    appDir: appDir.split(path.sep).join("/"),
+    appPath
+  };
+}
+
+function remoteAppDir(remoteProjectDir, appDir) {
+  return appDir ? path.posix.join(remoteProjectDir, appDir) : remoteProjectDir;
+}
+
+function resolveRemotePath(file, baseDir) {
+  return path.posix.isAbsolute(file) ? file : path.posix.join(baseDir, file);
+}
+
+// Anchored excludes ("/android") are written from the app's point of view, but
+// rsync anchors them at the transfer root, which is now the workspace root.
+// Unanchored ones keep matching at any depth.
+function resolveSyncExcludes(excludes, appDir) {
+  if (!appDir) {
+    return excludes;
+  }
+  return excludes.map((value) => (value.startsWith("/") ? `/${appDir}${value}` : value));
+}
+
+module.exports = {
+  resolveWorkspaceSettings,
+  remoteAppDir,
+  resolveRemotePath,
+  resolveSyncExcludes
+};
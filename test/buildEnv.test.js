@@ -0,0 +1,76 @@
+const {
+    collectBuildEnv,
+    collectSecretValues,
+    renderEnvFile,
+    resolveBuildEnvSettings
+} = require("../src/buildEnv");
+
+describe("buildEnv", () => {
+    const env = {
+        EXPO_TOKEN: "expo-secret",
+        EXPO_PUBLIC_API_URL: "https://api.example.com",
+        EXPO_PUBLIC_FLAG: "1",
+        SENTRY_AUTH_TOKEN: "sentry",
+        HCLOUD_TOKEN: "hetzner-secret",
+        HETZNER_SSH_KEY: "buildkey",
+        PATH: "/usr/bin"
+    };
+
+    test("merges profile overrides into the top-level section", () => {
+        const config = {
+            buildEnv: {
+                include: ["EXPO_PUBLIC_*"],
+                values: { APP_VARIANT: "dev" },
+                profiles: { production: { include: ["SENTRY_AUTH_TOKEN"], values: { APP_VARIANT: "prod" } } }
+            }
+        };
+
+        expect(resolveBuildEnvSettings(config, "production")).toEqual({
+            include: ["EXPO_PUBLIC_*", "SENTRY_AUTH_TOKEN"],
+            exclude: [],
+            values: { APP_VARIANT: "prod" }
+        });
+        expect(resolveBuildEnvSettings(config, "preview").values).toEqual({ APP_VARIANT: "dev" });
+        expect(resolveBuildEnvSettings({}, "preview")).toEqual({ include: [], exclude: [], values: {} });
+    });
+
+    test("forwards allowlisted keys but never Hetzner credentials", () => {
+        const { vars, denied } = collectBuildEnv(env, {
+            include: ["*"],
+            exclude: ["PATH", "EXPO_PUBLIC_FLAG"],
+            values: { HCLOUD_TOKEN: "explicit", APP_VARIANT: "prod" }
+        });
+
+        expect(vars).toEqual({
+            EXPO_TOKEN: "expo-secret",
+            EXPO_PUBLIC_API_URL: "https://api.example.com",
+            SENTRY_AUTH_TOKEN: "sentry",
+            APP_VARIANT: "prod"
+        });
+        expect(denied.sort()).toEqual(["HCLOUD_TOKEN", "HETZNER_SSH_KEY"]);
+    });
+
+    test("only forwards EXPO_TOKEN without a buildEnv section", () => {
+        expect(collectBuildEnv(env, resolveBuildEnvSettings({}, "preview")).vars).toEqual({
+            EXPO_TOKEN: "expo-secret"
+        });
+    });
+
+    test("treats tokens, forwarded values and configured keys as secrets", () => {
+        const config = { secretKeys: ["PATH"] };
+        const values = collectSecretValues(env, config, { include: ["SENTRY_*"] });
+
+        expect(values.sort()).toEqual(["/usr/bin", "expo-secret", "hetzner-secret", "sentry"]);
+    });
+
+    test("renders shell-safe exports", () => {
+        const content = renderEnvFile({
+            envScript: ["export ANDROID_HOME=/opt/android-sdk"],
+            vars: { QUOTED: "it's $HOME", PROFILE: "preview" }
+        });
+
+        expect(content).toBe(
+            "export ANDROID_HOME=/opt/android-sdk\nexport QUOTED='it'\\''s $HOME'\nexport PROFILE=preview\n"
+        );
+    });
+});
@@ -0,0 +1,134 @@
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    buildLaunchCommands,
+    buildStopCommand,
+    parseBuildStatusPoll,
+    renderBuildWrapper
+} = require("../src/buildStatus");
+
+describe("buildStatus", () => {
+    describe("parseBuildStatusPoll", () => {
+        test("reads the status line and liveness", () => {
+            const poll = parseBuildStatusPoll('{"phase":"running","step":"install","exitCode":null}\n\nalive\n');
+            expect(poll).toEqual({
+                status: { phase: "running", step: "install", exitCode: null },
+                alive: true
+            });
+        });
+
+        test("handles a missing status file", () => {
+            expect(parseBuildStatusPoll("\ndead\n")).toEqual({ status: null, alive: false });
+        });
+    });
+
+    describe("renderBuildWrapper", () => {
+        let workDir;
+
+        beforeEach(() => {
+            workDir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-wrapper-"));
+            fs.writeFileSync(path.join(workDir, "env.sh"), "export PROFILE=preview\n");
+        });
+
+        afterEach(() => {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        });
+
+        function runWrapper(buildCommand) {
+            const scriptPath = path.join(workDir, "build.sh");
+            fs.writeFileSync(
+                scriptPath,
+                renderBuildWrapper({
+                    envFile: path.join(workDir, "env.sh"),
+                    statusFile: path.join(workDir, "status"),
+                    projectDir: workDir,
+                    outputFile: path.join(workDir, "app.apk"),
+                    steps: [
+                        { name: "install", commands: ["true"] },
+                        { name: "build", commands: [].concat(buildCommand) }
+                    ]
+                })
+            );
+            const result = childProcess.spawnSync("bash", [scriptPath], { encoding: "utf8" });
+            const status = JSON.parse(fs.readFileSync(path.join(workDir, "status"), "utf8"));
+            return { exitCode: result.status, status };
+        }
+
+        test("records success and the artifact path", () => {
+            const { exitCode, status } = runWrapper('touch "$OUTPUT_FILE"');
+
+            expect(exitCode).toBe(0);
+            expect(status).toMatchObject({
+                phase: "succeeded",
+                exitCode: 0,
+                artifact: path.join(workDir, "app.apk")
+            });
+            expect(status.finishedAt).toBeGreaterThanOrEqual(status.startedAt);
+        });
+
+        test("records the failing step and its exit code", () => {
+            const { exitCode, status } = runWrapper("exit 3");
+
+            expect(exitCode).toBe(3);
+            expect(status).toMatchObject({ phase: "failed", step: "build", exitCode: 3, artifact: "" });
+        });
+
+        test("fails the step when a command before the last one fails", () => {
+            const { exitCode, status } = runWrapper(["false", 'touch "$OUTPUT_FILE"']);
+
+            expect(exitCode).toBe(1);
+            expect(status).toMatchObject({ phase: "failed", step: "build", exitCode: 1 });
+            expect(fs.existsSync(path.join(workDir, "app.apk"))).toBe(false);
+        });
+
+        test("fails when the build leaves no artifact", () => {
+            const { status } = runWrapper("true");
+            expect(status).toMatchObject({ phase: "failed", step: "artifact" });
+        });
+
+        test("stops every process the build started", async () => {
+            const scriptPath = path.join(workDir, "build.sh");
+            const statusFile = path.join(workDir, "status");
+            const childPidFile = path.join(workDir, "child.pid");
+            fs.writeFileSync(
+                scriptPath,
+                renderBuildWrapper({
+                    envFile: path.join(workDir, "env.sh"),
+                    statusFile,
+                    projectDir: workDir,
+                    outputFile: path.join(workDir, "app.apk"),
+                    steps: [{ name: "build", commands: [`sleep 30 & echo $! > ${childPidFile}; wait`] }]
+                })
+            );
+            childProcess.spawnSync(
+                "bash",
+                ["-c", buildLaunchCommands(scriptPath, path.join(workDir, "build.log"), statusFile).join("\n")]
+            );
+            const isRunning = (pid) => {
+                try {
+                    return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, "utf8"));
+                } catch {
+                    return false;
+                }
+            };
+            const waitFor = async (check) => {
+                for (let attempt = 0; attempt < 40 && !check(); attempt += 1) {
+                    await new Promise((resolve) => setTimeout(resolve, 50));
+                }
+                return check();
+            };
+
+            expect(await waitFor(() => fs.existsSync(childPidFile))).toBe(true);
+            const childPid = Number(fs.readFileSync(childPidFile, "utf8"));
+            expect(isRunning(childPid)).toBe(true);
+
+            childProcess.spawnSync("bash", ["-c", buildStopCommand(statusFile)]);
+
+            expect(await waitFor(() => !isRunning(childPid))).toBe(true);
+            expect(await waitFor(() => fs.readFileSync(statusFile, "utf8").includes('"phase":"failed"'))).toBe(true);
+            expect(JSON.parse(fs.readFileSync(statusFile, "utf8"))).toMatchObject({ step: "build", exitCode: 143 });
+        });
+    });
+});
@@ -0,0 +1,48 @@
+const { ensureCacheVolume, resolveCacheSettings, cacheMountScript, volumeNameFor } = require("../src/cache");
+
+jest.mock("../src/logger");
+
+describe("cache", () => {
+    const settings = resolveCacheSettings({ cache: { enabled: true, sizeGb: 20 } });
+
+    test("fills in defaults and names the volume per location", () => {
+        expect(settings).toMatchObject({ enabled: true, sizeGb: 20, mountPath: "/mnt/htzbuild-cache" });
+        expect(volumeNameFor(settings, "nbg1")).toBe("htzbuild-cache-nbg1");
+    });
+
+    test("creates the volume when it does not exist yet", async () => {
+        const client = {
+            listVolumes: jest.fn().mockResolvedValue([]),
+            createVolume: jest.fn().mockResolvedValue({ id: 3, name: "htzbuild-cache-fsn1" })
+        };
+
+        const volume = await ensureCacheVolume(client, settings, "fsn1");
+
+        expect(volume.id).toBe(3);
+        expect(client.listVolumes).toHaveBeenCalledWith(null, { name: "htzbuild-cache-fsn1" });
+        expect(client.createVolume).toHaveBeenCalledWith(
+            expect.objectContaining({ name: "htzbuild-cache-fsn1", size: 20, location: "fsn1", format: "ext4" })
+        );
+    });
+
+    test("refuses a volume pinned to another location", async () => {
+        const custom = { ...settings, volumeName: "shared-cache" };
+        const client = {
+            listVolumes: jest.fn().mockResolvedValue([{ id: 4, name: "shared-cache", location: { name: "hel1" } }]),
+            createVolume: jest.fn()
+        };
+
+        expect(await ensureCacheVolume(client, custom, "fsn1")).toBeNull();
+        expect(client.createVolume).not.toHaveBeenCalled();
+    });
+
+    test("bind-mounts node_modules only when enabled", () => {
+        const volume = { linux_device: "/dev/disk/by-id/scsi-0HC_Volume_4" };
+        const options = { remoteProjectDir: "/root/project/", projectName: "app" };
+
+        expect(cacheMountScript(volume, settings, options)).not.toContain("node_modules");
+        expect(cacheMountScript(volume, { ...settings, nodeModules: true }, options)).toContain(
+            "mount --bind /mnt/htzbuild-cache/node_modules/app /root/project/node_modules"
+        );
+    });
+});
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    depsCacheKey,
+    parseRuntime,
+    pruneLocalCache,
+    resolveDepsCacheSettings,
+    restoreCommands,
+    saveCommands
+} = require("../src/depsCache");
+
+describe("depsCache", () => {
+    test("validates the storage backend", () => {
+        expect(resolveDepsCacheSettings({})).toMatchObject({ enabled: false, storage: "local", keep: 3 });
+        expect(resolveDepsCacheSettings({ depsCache: { storage: "s3", s3: { bucket: "b" } } }).s3).toEqual({
+            endpoint: null,
+            bucket: "b",
+            prefix: "htzbuild/deps/"
+        });
+        expect(() => resolveDepsCacheSettings({ depsCache: { storage: "gcs" } })).toThrow(/Invalid depsCache.storage/);
+    });
+
+    test("keys the cache by lockfile, install command, platform and Node version", () => {
+        const runtime = parseRuntime("Linux-x86_64 v20.11.1\n");
+        expect(runtime).toEqual({ platform: "linux-x86_64", nodeVersion: "v20.11.1" });
+
+        const base = { lockfileContent: "lock", installCommand: "npm ci", ...runtime };
+        const key = depsCacheKey(base);
+        expect(key).toMatch(/^linux-x86_64-node20\.11\.1-[0-9a-f]{32}$/);
+        expect(depsCacheKey({ ...base })).toBe(key);
+        expect(depsCacheKey({ ...base, lockfileContent: "lock2" })).not.toBe(key);
+        expect(depsCacheKey({ ...base, installCommand: "npm install" })).not.toBe(key);
+        expect(depsCacheKey({ ...base, nodeVersion: "v22.0.0" })).not.toBe(key);
+    });
+
+    test("fetches and stores S3 tarballs through the pre-signed URLs", () => {
+        const restore = restoreCommands({ storage: "s3" }, "/root/project").join("\n");
+        expect(restore).toContain('curl -fsS -o /root/htzbuild-deps.tar.gz "$HTZBUILD_DEPS_GET_URL"');
+        expect(restore).toContain("tar xzf /root/htzbuild-deps.tar.gz -C /root/project");
+
+        const save = saveCommands({ storage: "s3" }, "/root/project").join("\n");
+        expect(save).toContain('curl -fsS -T /root/htzbuild-deps.tar.gz "$HTZBUILD_DEPS_PUT_URL"');
+        expect(saveCommands({ storage: "local" }, "/root/project").join("\n")).not.toContain("curl");
+    });
+
+    test("keeps only the most recently used local tarballs", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-deps-test-"));
+        try {
+            ["a", "b", "c"].forEach((name, index) => {
+                const file = path.join(dir, `${name}.tar.gz`);
+                fs.writeFileSync(file, "");
+                fs.utimesSync(file, new Date(1000 * (index + 1)), new Date(1000 * (index + 1)));
+            });
+
+            const removed = pruneLocalCache({ localDir: dir, keep: 2 });
+            expect(removed).toEqual([path.join(dir, "a.tar.gz")]);
+            expect(fs.readdirSync(dir).sort()).toEqual(["b.tar.gz", "c.tar.gz"]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../src/configLoader", () => ({
+    resolveConfigDir: () => global.__configDir
+}));
+jest.mock("../src/logger");
+
+const {
+    cancelDetachedBuild,
+    fetchDetachedBuild,
+    findDetachedBuild,
+    loadDetachedBuilds,
+    removeDetachedBuild,
+    saveDetachedBuild
+} = require("../src/detached");
+
+function makeState(overrides) {
+    return {
+        id: "htzbuild-preview-1",
+        serverId: 101,
+        serverIp: "203.0.113.10",
+        profile: "preview",
+        projectDir: "/work/app",
+        startedAt: 1000,
+        ...overrides
+    };
+}
+
+function makeBuilder(overrides) {
+    return {
+        pollBuildStatus: jest.fn(() => ({
+            status: { phase: "succeeded", step: "done", exitCode: 0 },
+            alive: false
+        })),
+        retrieveArtifact: jest.fn(function retrieveArtifact() {
+            this.artifactPath = "/work/app/build-output/app.apk";
+        }),
+        finishDepsCache: jest.fn(),
+        logUpload: jest.fn(),
+        logDepsCache: jest.fn(),
+        finishServer: jest.fn(async () => {}),
+        readLogTail: jest.fn(() => ["BUILD FAILED"]),
+        notify: jest.fn(async () => {}),
+        estimateCost: jest.fn(async () => null),
+        ...overrides
+    };
+}
+
+describe("detached", () => {
+    beforeEach(() => {
+        global.__configDir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-detached-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(global.__configDir, { recursive: true, force: true });
+    });
+
+    test("saves, loads newest first and removes build state", () => {
+        const statePath = saveDetachedBuild(makeState());
+        saveDetachedBuild(makeState({ id: "htzbuild-preview-2", serverId: 102, startedAt: 2000 }));
+        fs.writeFileSync(path.join(global.__configDir, "detached", "broken.json"), "{");
+
+        expect(statePath).toBe(path.join(global.__configDir, "detached", "htzbuild-preview-1.json"));
+        expect(fs.statSync(statePath).mode & 0o777).toBe(0o600);
+        expect(loadDetachedBuilds().map((build) => build.id)).toEqual(["htzbuild-preview-2", "htzbuild-preview-1"]);
+
+        removeDetachedBuild("htzbuild-preview-2");
+        expect(loadDetachedBuilds()).toEqual([makeState()]);
+    });
+
+    test("finds builds by name, server id or project", () => {
+        saveDetachedBuild(makeState());
+        saveDetachedBuild(makeState({ id: "htzbuild-other", serverId: 202, projectDir: "/work/other", startedAt: 2000 }));
+
+        expect(findDetachedBuild("htzbuild-preview-1").serverId).toBe(101);
+        expect(findDetachedBuild("202").id).toBe("htzbuild-other");
+        expect(findDetachedBuild(null, "/work/app").id).toBe("htzbuild-preview-1");
+        expect(() => findDetachedBuild("missing")).toThrow(/No detached build named missing/);
+        expect(() => findDetachedBuild(null, "/work/none")).toThrow(/No detached build found/);
+    });
+
+    describe("fetchDetachedBuild", () => {
+        test("deletes the server and the state after a successful download", async () => {
+            const state = makeState();
+            saveDetachedBuild(state);
+            const builder = makeBuilder();
+
+            await expect(fetchDetachedBuild(builder, state)).resolves.toBe("/work/app/build-output/app.apk");
+            expect(builder.finishServer).toHaveBeenCalled();
+            expect(loadDetachedBuilds()).toEqual([]);
+            expect(builder.notify).toHaveBeenCalledWith("succeeded", {
+                durationMs: expect.any(Number),
+                artifactPath: "/work/app/build-output/app.apk"
+            });
+        });
+
+        test("keeps the server and the state when the download fails", async () => {
+            const state = makeState();
+            saveDetachedBuild(state);
+            const builder = makeBuilder({
+                retrieveArtifact: jest.fn(() => {
+                    throw new Error("scp failed");
+                })
+            });
+
+            await expect(fetchDetachedBuild(builder, state)).rejects.toThrow("scp failed");
+            expect(builder.finishServer).not.toHaveBeenCalled();
+            expect(loadDetachedBuilds()).toEqual([state]);
+            expect(builder.notify).not.toHaveBeenCalled();
+        });
+
+        test("refuses to fetch a running build", async () => {
+            const state = makeState();
+            saveDetachedBuild(state);
+            const builder = makeBuilder({
+                pollBuildStatus: jest.fn(() => ({ status: { phase: "running", step: "build" }, alive: true }))
+            });
+
+            await expect(fetchDetachedBuild(builder, state)).rejects.toThrow(/still running \(build\)/);
+            expect(builder.retrieveArtifact).not.toHaveBeenCalled();
+            expect(loadDetachedBuilds()).toEqual([state]);
+        });
+
+        test("deletes the server of a failed build", async () => {
+            const state = makeState();
+            saveDetachedBuild(state);
+            const builder = makeBuilder({
+                pollBuildStatus: jest.fn(() => ({
+                    status: { phase: "failed", step: "install", exitCode: 1 },
+                    alive: false
+                }))
+            });
+
+            await expect(fetchDetachedBuild(builder, state)).rejects.toThrow("Remote build failed");
+            expect(builder.retrieveArtifact).not.toHaveBeenCalled();
+            expect(builder.finishServer).toHaveBeenCalled();
+            expect(loadDetachedBuilds()).toEqual([]);
+            expect(builder.notify).toHaveBeenCalledWith("failed", {
+                durationMs: expect.any(Number),
+                error: "Remote build failed during install (exit code 1)",
+                failedPhase: "build",
+                logTail: ["BUILD FAILED"]
+            });
+        });
+    });
+
+    test("cancelDetachedBuild stops the build and reports the cancellation", async () => {
+        const state = makeState();
+        saveDetachedBuild(state);
+        const builder = makeBuilder({ stopRemoteBuild: jest.fn(), deleteServer: jest.fn(async () => {}) });
+
+        await cancelDetachedBuild(builder, state);
+
+        expect(builder.stopRemoteBuild).toHaveBeenCalled();
+        expect(builder.deleteServer).toHaveBeenCalled();
+        expect(loadDetachedBuilds()).toEqual([]);
+        expect(builder.notify).toHaveBeenCalledWith("cancelled", { durationMs: expect.any(Number) });
+    });
+});
@@ -0,0 +1,106 @@
+const { BuildError, EXIT_CODES, toBuildError } = require("../src/errors");
+const { emitEvent, logError, logInfo, logPlain, logWarn, setJsonMode } = require("../src/logger");
+const { RemoteBuilder } = require("../src/remoteBuilder");
+
+describe("errors", () => {
+    test("maps each run phase to its own exit code", () => {
+        expect(new BuildError("boom", "provisioning").exitCode).toBe(EXIT_CODES.provisioning);
+        expect(new BuildError("boom", "sync").exitCode).toBe(4);
+        expect(new BuildError("boom", "build").exitCode).toBe(5);
+        expect(new BuildError("boom", "retrieval").exitCode).toBe(6);
+        expect(new BuildError("boom", null).exitCode).toBe(1);
+    });
+
+    test("wraps plain errors without losing the original", () => {
+        const original = new Error("rsync failed");
+        const wrapped = toBuildError(original, "sync");
+        expect(wrapped.message).toBe("rsync failed");
+        expect(wrapped.phase).toBe("sync");
+        expect(wrapped.cause).toBe(original);
+        expect(toBuildError(wrapped, "build")).toBe(wrapped);
+    });
+
+    describe("--json event stream", () => {
+        let stdout;
+        let spies;
+
+        beforeEach(() => {
+            stdout = [];
+            spies = [
+                jest.spyOn(process.stdout, "write").mockImplementation((chunk) => stdout.push(String(chunk))),
+                jest.spyOn(console, "log").mockImplementation((line) => stdout.push(`${line}\n`)),
+                jest.spyOn(console, "error").mockImplementation(() => {})
+            ];
+            setJsonMode(true);
+        });
+
+        afterEach(() => {
+            setJsonMode(false);
+            spies.forEach((spy) => spy.mockRestore());
+        });
+
+        function events() {
+            return stdout.join("").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+        }
+
+        test("writes one JSON object per line with the event name and a timestamp", () => {
+            emitEvent("server_created", { profile: "preview", serverId: "42", reused: false });
+            emitEvent("project_synced", { profile: "preview", durationMs: 1200 });
+
+            const lines = stdout.join("").split("\n");
+            expect(lines).toHaveLength(3);
+            expect(lines[2]).toBe("");
+            expect(events()).toEqual([
+                {
+                    event: "server_created",
+                    timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/),
+                    profile: "preview",
+                    serverId: "42",
+                    reused: false
+                },
+                { event: "project_synced", timestamp: expect.any(String), profile: "preview", durationMs: 1200 }
+            ]);
+        });
+
+        test("keeps human-readable output off stdout", () => {
+            logInfo("Checking prerequisites...");
+            logWarn("HETZNER_WATCHDOG_TOKEN is not set");
+            logPlain("Server deleted");
+            logError("Remote build failed");
+            emitEvent("cleanup", { action: "deleted" });
+
+            expect(events().map((event) => event.event)).toEqual(["cleanup"]);
+            expect(console.error).toHaveBeenCalledTimes(4);
+        });
+
+        test("emits nothing outside JSON mode", () => {
+            setJsonMode(false);
+            emitEvent("run_started", { profile: "preview" });
+            expect(process.stdout.write).not.toHaveBeenCalled();
+        });
+
+        test("ends a failed run with a run_finished event naming the phase and exit code", async () => {
+            const builder = new RemoteBuilder("preview", {}, {}, {});
+            builder.registerCleanup = jest.fn();
+            builder.ensureCommand = jest.fn();
+            builder.estimateCost = jest.fn(async () => null);
+            builder.recordHistory = jest.fn();
+
+            const error = await builder.run().catch((caught) => caught);
+
+            expect(error).toBeInstanceOf(BuildError);
+            expect(error.exitCode).toBe(EXIT_CODES.prerequisites);
+            const stream = events();
+            expect(stream.map((event) => event.event)).toEqual(["run_started", "run_finished"]);
+            expect(stream[1]).toMatchObject({
+                event: "run_finished",
+                profile: "preview",
+                status: "failed",
+                phase: "prerequisites",
+                exitCode: EXIT_CODES.prerequisites,
+                error: "HCLOUD_TOKEN not set",
+                durationMs: expect.any(Number)
+            });
+        });
+    });
+});
@@ -0,0 +1,109 @@
+const {
+    firewallNameFor,
+    normalizeCidr,
+    releaseFirewall,
+    resolveAllowedCidrs,
+    resolveFirewallSettings
+} = require("../src/firewall");
+
+jest.mock("../src/logger");
+
+describe("firewall", () => {
+    test("normalizes addresses and rejects invalid CIDRs", () => {
+        expect(normalizeCidr("203.0.113.7")).toBe("203.0.113.7/32");
+        expect(normalizeCidr("2001:db8::1")).toBe("2001:db8::1/128");
+        expect(normalizeCidr("198.51.100.0/24")).toBe("198.51.100.0/24");
+        expect(() => normalizeCidr("10.0.0.0/33")).toThrow(/Invalid CIDR/);
+        expect(() => normalizeCidr("example.com")).toThrow(/Invalid CIDR/);
+    });
+
+    test("enables the firewall when CI passes allowed CIDRs through the environment", () => {
+        const settings = resolveFirewallSettings(
+            { firewall: { allowedCidrs: ["198.51.100.0/24"] } },
+            { HTZBUILD_ALLOWED_CIDRS: "192.0.2.0/24, 203.0.113.0/24" }
+        );
+        expect(settings.enabled).toBe(true);
+        expect(settings.allowedCidrs).toEqual(["198.51.100.0/24", "192.0.2.0/24", "203.0.113.0/24"]);
+        expect(resolveFirewallSettings({}, {}).enabled).toBe(false);
+    });
+
+    test("combines the detected IP with configured CIDRs", async () => {
+        const settings = {
+            detectIp: true,
+            ipEchoUrl: "https://ip.example",
+            ipFamily: 4,
+            allowedCidrs: ["198.51.100.0/24"]
+        };
+
+        await expect(resolveAllowedCidrs(settings, async () => "203.0.113.7")).resolves.toEqual([
+            "198.51.100.0/24",
+            "203.0.113.7/32"
+        ]);
+        await expect(
+            resolveAllowedCidrs(settings, async () => {
+                throw new Error("offline");
+            })
+        ).resolves.toEqual(["198.51.100.0/24"]);
+        await expect(
+            resolveAllowedCidrs({ ...settings, allowedCidrs: [] }, async () => {
+                throw new Error("offline");
+            })
+        ).rejects.toThrow(/Could not detect your public IP/);
+    });
+
+    test("detects the address family the builder is reached over", async () => {
+        expect(resolveFirewallSettings({}, {})).toMatchObject({ ipEchoUrl: "https://api.ipify.org", ipFamily: 4 });
+        const ipv6 = resolveFirewallSettings({ firewall: { enabled: true } }, {}, { mode: "ipv6-only" });
+        expect(ipv6).toMatchObject({ ipEchoUrl: "https://api6.ipify.org", ipFamily: 6 });
+        const custom = resolveFirewallSettings({ firewall: { ipEchoUrl: "https://ip.example" } }, {}, { mode: "ipv6-only" });
+        expect(custom.ipEchoUrl).toBe("https://ip.example");
+
+        await expect(resolveAllowedCidrs(ipv6, async () => "2001:db8::7")).resolves.toEqual(["2001:db8::7/128"]);
+        await expect(resolveAllowedCidrs(ipv6, async () => "203.0.113.7")).rejects.toThrow(
+            /returned 203.0.113.7, but the builder is reached over IPv6/
+        );
+    });
+
+    test("needs allowedCidrs instead of the detected IP behind a jump host", async () => {
+        const detect = jest.fn(async () => "203.0.113.7");
+        const network = { mode: "private", jumpHost: "ops@bastion.example.com" };
+        const settings = resolveFirewallSettings({ firewall: { enabled: true } }, {}, network);
+
+        expect(settings.detectIp).toBe(false);
+        await expect(resolveAllowedCidrs(settings, detect)).rejects.toThrow(
+            /allowedCidrs with the address of jump host ops@bastion.example.com/
+        );
+
+        const withBastion = resolveFirewallSettings({ firewall: { allowedCidrs: ["198.51.100.9"] } }, {}, network);
+        await expect(resolveAllowedCidrs(withBastion, detect)).resolves.toEqual(["198.51.100.9/32"]);
+        expect(detect).not.toHaveBeenCalled();
+    });
+
+    test("names firewalls after their rule set", () => {
+        expect(firewallNameFor(["203.0.113.7/32"])).toMatch(/^htzbuild-ssh-[0-9a-f]{12}$/);
+        expect(firewallNameFor(["203.0.113.7/32"])).toBe(firewallNameFor(["203.0.113.7/32"]));
+        expect(firewallNameFor(["203.0.113.7/32"])).not.toBe(firewallNameFor(["203.0.113.8/32"]));
+    });
+
+    test("retries while the deleted server is still attached and leaves shared firewalls", async () => {
+        const inUse = Object.assign(new Error("in use"), { code: "resource_in_use" });
+        const delay = jest.fn().mockResolvedValue();
+        const client = {
+            deleteFirewall: jest.fn().mockRejectedValueOnce(inUse).mockResolvedValueOnce(),
+            getFirewall: jest.fn().mockResolvedValue({ applied_to: [{ type: "server", server: { id: 5 } }] })
+        };
+
+        await expect(releaseFirewall(client, { id: 1, name: "fw" }, "5", delay)).resolves.toBe(true);
+        expect(client.deleteFirewall).toHaveBeenCalledTimes(2);
+
+        client.deleteFirewall.mockReset().mockRejectedValue(inUse);
+        client.getFirewall.mockResolvedValue({
+            applied_to: [
+                { type: "server", server: { id: 5 } },
+                { type: "server", server: { id: 6 } }
+            ]
+        });
+        await expect(releaseFirewall(client, { id: 1, name: "fw" }, "5", delay)).resolves.toBe(false);
+        expect(client.deleteFirewall).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,9 @@
+const { formatDuration } = require("../src/format");
+
+describe("format", () => {
+    test("formats durations as minutes and seconds", () => {
+        expect(formatDuration(842000)).toBe("14m 02s");
+        expect(formatDuration(0)).toBe("0m 00s");
+        expect(formatDuration(null)).toBe("-");
+    });
+});
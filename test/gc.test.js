@@ -0,0 +1,126 @@
+const {
+    parseDuration,
+    builderLabels,
+    findOrphanedServers,
+    collectGarbage,
+    findOrphanedSshKeys
+} = require("../src/gc");
+
+jest.mock("../src/logger");
+
+describe("gc", () => {
+    const now = Date.UTC(2026, 0, 1, 12);
+
+    function server(id, ageMinutes, labels = {}) {
+        return {
+            id,
+            name: `eas-builder-${id}`,
+            status: "running",
+            created: new Date(now - ageMinutes * 60000).toISOString(),
+            labels: { "htzbuild-tool": "htzbuild", ...labels }
+        };
+    }
+
+    test("parses durations in minutes, hours and days", () => {
+        expect(parseDuration("90")).toBe(90 * 60000);
+        expect(parseDuration("90m")).toBe(90 * 60000);
+        expect(parseDuration("3h")).toBe(3 * 3600000);
+        expect(parseDuration("2d")).toBe(2 * 86400000);
+        expect(() => parseDuration("soon")).toThrow(/Invalid duration/);
+    });
+
+    test("builds sanitized labels", () => {
+        const labels = builderLabels({
+            project: "@acme/mobile app",
+            profile: "preview",
+            owner: "jo@laptop.local",
+            createdAt: now
+        });
+
+        expect(labels).toEqual({
+            "htzbuild-tool": "htzbuild",
+            "htzbuild-project": "acme-mobile-app",
+            "htzbuild-profile": "preview",
+            "htzbuild-created-at": String(now / 1000),
+            "htzbuild-owner": "jo-laptop.local"
+        });
+    });
+
+    test("finds servers older than the max age and expired pool servers", async () => {
+        const client = {
+            listServers: jest.fn().mockResolvedValue([
+                server(1, 30),
+                server(2, 300),
+                server(3, 10, { "htzbuild-created-at": String(now / 1000 - 400 * 60) }),
+                server(4, 600, { "htzbuild-pool-state": "idle", "htzbuild-idle-until": String(now / 1000 + 600) }),
+                server(5, 20, { "htzbuild-pool-state": "idle", "htzbuild-idle-until": String(now / 1000 - 60) })
+            ])
+        };
+
+        const orphans = await findOrphanedServers(client, parseDuration("3h"), now);
+
+        expect(orphans.map((entry) => entry.id)).toEqual([2, 3, 5]);
+        expect(client.listServers).toHaveBeenCalledWith({ "htzbuild-tool": "htzbuild" });
+    });
+
+    test("ages busy pooled servers from their latest claim", async () => {
+        const busy = { "htzbuild-pool": "builder", "htzbuild-pool-state": "busy" };
+        const client = {
+            listServers: jest.fn().mockResolvedValue([
+                server(1, 600, { ...busy, "htzbuild-claimed-at": String(now / 1000 - 20 * 60) }),
+                server(2, 600, { ...busy, "htzbuild-claimed-at": String(now / 1000 - 200 * 60) })
+            ])
+        };
+
+        const orphans = await findOrphanedServers(client, parseDuration("3h"), now);
+
+        expect(orphans.map((entry) => entry.id)).toEqual([2]);
+    });
+
+    test("keeps detached servers until their own deadline", async () => {
+        const client = {
+            listServers: jest.fn().mockResolvedValue([
+                server(1, 600, { "htzbuild-detached-until": String(now / 1000 + 3600) }),
+                server(2, 600, { "htzbuild-detached-until": String(now / 1000 - 60) }),
+                server(3, 20, { "htzbuild-detached-until": String(now / 1000 - 60) })
+            ])
+        };
+
+        const orphans = await findOrphanedServers(client, parseDuration("3h"), now);
+
+        expect(orphans.map((entry) => entry.id)).toEqual([2, 3]);
+    });
+
+    test("only lists orphans in dry-run mode", async () => {
+        const client = {
+            listServers: jest.fn().mockResolvedValue([server(1, 24 * 60 * 365)]),
+            deleteServer: jest.fn()
+        };
+
+        const result = await collectGarbage(client, { maxAgeMs: parseDuration("1h"), dryRun: true });
+
+        expect(result.orphans).toHaveLength(1);
+        expect(result.deleted).toHaveLength(0);
+        expect(client.deleteServer).not.toHaveBeenCalled();
+    });
+
+    test("finds throwaway SSH keys that outlived the max age and their server", async () => {
+        const client = {
+            listSshKeys: jest.fn().mockResolvedValue([
+                server(1, 30),
+                server(2, 300),
+                server(3, 300, { "htzbuild-server": "eas-builder-9" }),
+                server(4, 300, { "htzbuild-server": "eas-builder-gone" })
+            ]),
+            listServers: jest.fn().mockResolvedValue([server(9, 300)])
+        };
+
+        const orphans = await findOrphanedSshKeys(client, parseDuration("3h"), now);
+
+        expect(orphans.map((key) => key.id)).toEqual([2, 4]);
+        expect(client.listSshKeys).toHaveBeenCalledWith({
+            "htzbuild-tool": "htzbuild",
+            "htzbuild-ephemeral-key": "true"
+        });
+    });
+});
@@ -0,0 +1,217 @@
+const childProcess = require("child_process");
+const http = require("http");
+const {
+    HcloudClient,
+    HcloudApiError,
+    formatLabelSelector,
+    isCapacityError,
+    isRetryableError
+} = require("../src/hcloudClient");
+
+describe("hcloudClient", () => {
+    let server;
+    let baseUrl;
+    let requests;
+    let routes;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", (chunk) => {
+                body += chunk;
+            });
+            req.on("end", () => {
+                requests.push({
+                    method: req.method,
+                    url: req.url,
+                    authorization: req.headers.authorization,
+                    body: body ? JSON.parse(body) : null
+                });
+                const route = routes[`${req.method} ${req.url.split("?")[0]}`];
+                const reply = route ? route(req) : [404, { error: { code: "not_found", message: "not found" } }];
+                if (!reply) {
+                    return;
+                }
+                const [status, payload] = reply;
+                res.writeHead(status, { "Content-Type": "application/json" });
+                res.end(payload ? JSON.stringify(payload) : "");
+            });
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        routes = {};
+    });
+
+    test("creates a server and waits for its action to finish", async () => {
+        let polls = 0;
+        routes["POST /v1/servers"] = () => [
+            201,
+            {
+                server: { id: 42, public_net: { ipv4: { ip: "10.0.0.1" } } },
+                action: { id: 7, command: "create_server", status: "running" }
+            }
+        ];
+        routes["GET /v1/actions/7"] = () => {
+            polls += 1;
+            return [200, { action: { id: 7, command: "create_server", status: polls > 1 ? "success" : "running" } }];
+        };
+
+        const client = new HcloudClient("secret", { baseUrl, pollIntervalMs: 0 });
+        const created = await client.createServer({ name: "builder", server_type: "cpx52" });
+
+        expect(created.id).toBe(42);
+        expect(polls).toBe(2);
+        expect(requests[0].authorization).toBe("Bearer secret");
+        expect(requests[0].body).toEqual({ name: "builder", server_type: "cpx52" });
+    });
+
+    test("surfaces API error codes as HcloudApiError", async () => {
+        routes["POST /v1/servers"] = () => [
+            412,
+            { error: { code: "resource_unavailable", message: "server type unavailable" } }
+        ];
+
+        const client = new HcloudClient("secret", { baseUrl });
+        const failure = client.createServer({ name: "builder" });
+
+        await expect(failure).rejects.toBeInstanceOf(HcloudApiError);
+        await expect(failure).rejects.toMatchObject({
+            code: "resource_unavailable",
+            status: 412,
+            message: "server type unavailable"
+        });
+    });
+
+    test("hands back the server when its create action fails", async () => {
+        routes["POST /v1/servers"] = () => [
+            201,
+            {
+                server: { id: 43 },
+                action: { id: 8, command: "create_server", status: "error", error: { code: "placement_error", message: "no capacity" } }
+            }
+        ];
+
+        const client = new HcloudClient("secret", { baseUrl });
+        const failure = client.createServer({ name: "builder" });
+
+        await expect(failure).rejects.toMatchObject({ code: "placement_error", server: { id: 43 } });
+    });
+
+    test("tells capacity errors apart from auth and quota errors", () => {
+        expect(isCapacityError(new HcloudApiError("sold out", { code: "resource_unavailable" }))).toBe(true);
+        expect(isCapacityError(new HcloudApiError("no host", { code: "placement_error" }))).toBe(true);
+        expect(isCapacityError(new HcloudApiError("bad token", { code: "unauthorized" }))).toBe(false);
+        expect(isCapacityError(new HcloudApiError("quota", { code: "resource_limit_exceeded" }))).toBe(false);
+    });
+
+    test("follows pagination when listing resources", async () => {
+        routes["GET /v1/ssh_keys"] = (req) => {
+            const page = new URL(req.url, baseUrl).searchParams.get("page");
+            return page === "1"
+                ? [200, { ssh_keys: [{ id: 1 }], meta: { pagination: { next_page: 2 } } }]
+                : [200, { ssh_keys: [{ id: 2 }], meta: { pagination: { next_page: null } } }];
+        };
+
+        const client = new HcloudClient("secret", { baseUrl });
+        const keys = await client.listSshKeys(null, { name: "buildkey" });
+
+        expect(keys.map((key) => key.id)).toEqual([1, 2]);
+        expect(requests[0].url).toContain("name=buildkey");
+    });
+
+    test("fails the action wait when the action errors", async () => {
+        routes["DELETE /v1/servers/5"] = () => [
+            200,
+            { action: { id: 9, command: "delete_server", status: "error", error: { code: "locked", message: "server is locked" } } }
+        ];
+
+        const client = new HcloudClient("secret", { baseUrl });
+        await expect(client.deleteServer(5)).rejects.toMatchObject({ code: "locked" });
+    });
+
+    // requestSync blocks the event loop, so the local API server cannot answer it.
+    test("waits for an action synchronously", () => {
+        const client = new HcloudClient("secret", { baseUrl, pollIntervalMs: 1 });
+        client.requestSync = jest
+            .fn()
+            .mockReturnValueOnce({ action: { id: 9, command: "delete_server", status: "running" } })
+            .mockReturnValueOnce({ action: { id: 9, command: "delete_server", status: "success" } });
+
+        expect(client.waitForActionSync({ id: 9, command: "delete_server", status: "running" })).toMatchObject({
+            status: "success"
+        });
+        expect(client.requestSync).toHaveBeenCalledWith("GET", "/actions/9");
+        expect(client.requestSync).toHaveBeenCalledTimes(2);
+        expect(client.waitForActionSync(undefined)).toBeNull();
+    });
+
+    test("gives up the synchronous action wait after the timeout", () => {
+        const client = new HcloudClient("secret", { baseUrl, pollIntervalMs: 5 });
+        client.requestSync = jest.fn(() => ({ action: { id: 9, command: "delete_server", status: "running" } }));
+
+        expect(() => client.waitForActionSync({ id: 9, command: "delete_server", status: "running" }, 1)).toThrow(
+            /Timed out waiting for action delete_server/
+        );
+    });
+
+    test("times out hanging requests and retries the ones that are safe to repeat", async () => {
+        routes["GET /v1/servers/1"] = () => null;
+        routes["POST /v1/servers"] = () => null;
+        const client = new HcloudClient("secret", { baseUrl, requestTimeoutMs: 50, retryDelayMs: 0 });
+
+        const error = await client.getServer(1).catch((caught) => caught);
+        expect(error).toBeInstanceOf(HcloudApiError);
+        expect(error.code).toBe("timeout");
+        expect(isRetryableError(error)).toBe(true);
+        expect(requests.filter((request) => request.method === "GET")).toHaveLength(3);
+
+        await expect(client.request("POST", "/servers", { name: "builder" })).rejects.toMatchObject({ code: "timeout" });
+        expect(requests.filter((request) => request.method === "POST")).toHaveLength(1);
+    });
+
+    test("treats a retried delete that finds nothing as done", async () => {
+        let calls = 0;
+        routes["DELETE /v1/firewalls/4"] = () => {
+            calls += 1;
+            return calls === 1 ? null : [404, { error: { code: "not_found", message: "firewall not found" } }];
+        };
+        const client = new HcloudClient("secret", { baseUrl, requestTimeoutMs: 50, retryDelayMs: 0 });
+
+        await expect(client.request("DELETE", "/firewalls/4")).resolves.toEqual({});
+        expect(calls).toBe(2);
+    });
+
+    test("bounds synchronous requests and reports a timeout", () => {
+        const spawnSync = jest.spyOn(childProcess, "spawnSync").mockReturnValue({
+            error: Object.assign(new Error("spawnSync node ETIMEDOUT"), { code: "ETIMEDOUT" })
+        });
+        try {
+            const client = new HcloudClient("secret", { baseUrl, requestTimeoutMs: 1000, retryDelayMs: 0 });
+            expect(() => client.requestSync("DELETE", "/servers/5")).toThrow(
+                expect.objectContaining({ code: "timeout" })
+            );
+            expect(spawnSync.mock.calls[0][2].timeout).toBeGreaterThan(0);
+        } finally {
+            spawnSync.mockRestore();
+        }
+    });
+
+    test("rejects requests without a token", async () => {
+        const client = new HcloudClient(undefined, { baseUrl });
+        await expect(client.getServer(1)).rejects.toMatchObject({ code: "unauthorized" });
+        expect(requests).toHaveLength(0);
+    });
+
+    test("formats label selectors", () => {
+        expect(formatLabelSelector({ tool: "htzbuild", pooled: null })).toBe("tool=htzbuild,pooled");
+    });
+});
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../src/configLoader", () => ({
+    resolveConfigDir: () => global.__historyDir
+}));
+
+const {
+    appendHistory,
+    filterHistory,
+    findHistoryRecord,
+    historyToCsv,
+    loadHistory,
+    updateHistory
+} = require("../src/history");
+
+describe("history", () => {
+    beforeEach(() => {
+        global.__historyDir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-history-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(global.__historyDir, { recursive: true, force: true });
+    });
+
+    test("appends records and updates them in place", () => {
+        appendHistory({ id: "aaaa1111", profile: "preview", result: "detached", startedAt: "2026-01-01T10:00:00Z" });
+        appendHistory({ id: "bbbb2222", profile: "production", result: "failed", startedAt: "2026-01-02T10:00:00Z" });
+        fs.appendFileSync(path.join(global.__historyDir, "history.jsonl"), "not json\n");
+
+        updateHistory("aaaa1111", { result: "succeeded", sha256: "abc" });
+
+        const records = loadHistory();
+        expect(records).toHaveLength(2);
+        expect(records[0]).toMatchObject({ id: "aaaa1111", result: "succeeded", sha256: "abc" });
+    });
+
+    test("filters newest first and finds records by id prefix", () => {
+        const records = [
+            { id: "aaaa1111", profile: "preview", result: "succeeded", startedAt: "2026-01-01T10:00:00Z" },
+            { id: "aabb2222", profile: "preview", result: "failed", startedAt: "2026-01-03T10:00:00Z" },
+            { id: "cccc3333", profile: "production", result: "succeeded", startedAt: "2026-01-02T10:00:00Z" }
+        ];
+
+        expect(filterHistory(records).map((record) => record.id)).toEqual(["aabb2222", "cccc3333", "aaaa1111"]);
+        expect(filterHistory(records, { profile: "preview", result: "succeeded" })).toHaveLength(1);
+        expect(filterHistory(records, { limit: 1 })[0].id).toBe("aabb2222");
+        expect(findHistoryRecord(records, "cc").id).toBe("cccc3333");
+        expect(() => findHistoryRecord(records, "aa")).toThrow(/ambiguous/);
+        expect(() => findHistoryRecord(records, "zz")).toThrow(/No build/);
+    });
+
+    test("exports CSV with quoted cells and flattened cost", () => {
+        const csv = historyToCsv([
+            {
+                id: "aaaa1111",
+                profile: "preview",
+                result: "failed",
+                error: "ignored",
+                artifactPath: "/tmp/a,b.apk",
+                estimatedCost: { amount: 0.0421, currency: "EUR" }
+            }
+        ]);
+        const [header, row] = csv.trim().split("\n");
+        expect(header.split(",")).toContain("estimatedCost");
+        expect(row).toContain('"/tmp/a,b.apk"');
+        expect(row).toContain("0.0421,EUR");
+    });
+});
@@ -0,0 +1,57 @@
+const { hashCloudInit, findSnapshotForHash, pruneSnapshots, CLOUD_INIT_HASH_LABEL } = require("../src/images");
+
+jest.mock("../src/logger");
+
+function snapshot(id, created, hash, status = "available") {
+    return {
+        id,
+        created,
+        status,
+        description: `snapshot ${id}`,
+        labels: { "htzbuild-image": "builder", [CLOUD_INIT_HASH_LABEL]: hash }
+    };
+}
+
+describe("images", () => {
+    const images = [
+        snapshot(1, "2026-01-01T00:00:00Z", "aaaa"),
+        snapshot(2, "2026-03-01T00:00:00Z", "bbbb"),
+        snapshot(3, "2026-02-01T00:00:00Z", "bbbb"),
+        snapshot(4, "2026-04-01T00:00:00Z", "bbbb", "creating")
+    ];
+
+    function fakeClient() {
+        return {
+            listImages: jest.fn().mockResolvedValue([...images]),
+            deleteImage: jest.fn().mockResolvedValue()
+        };
+    }
+
+    test("hashes cloud-init content deterministically", () => {
+        expect(hashCloudInit("#cloud-config")).toBe(hashCloudInit("#cloud-config"));
+        expect(hashCloudInit("#cloud-config")).not.toBe(hashCloudInit("#cloud-config\n"));
+        expect(hashCloudInit("x")).toHaveLength(16);
+    });
+
+    test("picks the newest available snapshot for a hash", async () => {
+        const found = await findSnapshotForHash(fakeClient(), "bbbb");
+        expect(found.id).toBe(2);
+        expect(await findSnapshotForHash(fakeClient(), "cccc")).toBeNull();
+    });
+
+    test("prunes outdated snapshots and keeps the newest matches", async () => {
+        const client = fakeClient();
+        const removed = await pruneSnapshots(client, "bbbb", { keep: 2 });
+
+        expect(removed.map((image) => image.id)).toEqual([1]);
+        expect(client.deleteImage).toHaveBeenCalledTimes(1);
+    });
+
+    test("skips snapshots still being created and deletes nothing in dry-run mode", async () => {
+        const client = fakeClient();
+        const removed = await pruneSnapshots(client, "bbbb", { keep: 1, dryRun: true });
+
+        expect(removed.map((image) => image.id)).toEqual([3, 1]);
+        expect(client.deleteImage).not.toHaveBeenCalled();
+    });
+});
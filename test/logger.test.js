@@ -0,0 +1,31 @@
+const { emitEvent, redact, registerSecret, setJsonMode } = require("../src/logger");
+
+describe("logger", () => {
+    test("masks registered secrets and their base64 forms", () => {
+        registerSecret("expo-secret-token");
+        registerSecret("abc");
+
+        const encoded = Buffer.from("expo-secret-token", "utf8").toString("base64");
+        expect(redact("token=expo-secret-token")).toBe("token=***");
+        expect(redact(`printf '%s' '${encoded}' | base64 -d`)).toBe("printf '%s' '***' | base64 -d");
+        expect(redact("abc is too short to be a secret")).toBe("abc is too short to be a secret");
+        expect(redact(null)).toBeNull();
+    });
+
+    test("redacts event payloads in JSON mode", () => {
+        registerSecret("hetzner-api-token");
+        const lines = [];
+        const write = jest.spyOn(process.stdout, "write").mockImplementation((line) => lines.push(line));
+        setJsonMode(true);
+        try {
+            emitEvent("run_finished", { error: "401 for hetzner-api-token", nested: { value: "hetzner-api-token" } });
+        } finally {
+            setJsonMode(false);
+            write.mockRestore();
+        }
+
+        const event = JSON.parse(lines[0]);
+        expect(event.error).toBe("401 for ***");
+        expect(event.nested.value).toBe("***");
+    });
+});
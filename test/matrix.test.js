@@ -0,0 +1,84 @@
+const { buildMatrixChildArgs, matrixExitCode, resolveMatrixProfiles } = require("../src/matrix");
+
+describe("matrix", () => {
+    test("prefers the --profiles list over the config matrix", () => {
+        const config = { matrix: { profiles: ["preview", "production"] } };
+        expect(resolveMatrixProfiles("staging, production,staging", config)).toEqual(["staging", "production"]);
+        expect(resolveMatrixProfiles(null, config)).toEqual(["preview", "production"]);
+    });
+
+    test("returns no profiles without a matrix", () => {
+        expect(resolveMatrixProfiles(null, {})).toEqual([]);
+        expect(resolveMatrixProfiles(null, null)).toEqual([]);
+    });
+
+    describe("buildMatrixChildArgs", () => {
+        test("forwards only the env folder by default", () => {
+            expect(buildMatrixChildArgs({ envFolder: ".env", profiles: "preview,production" })).toEqual([
+                "--env-folder",
+                ".env"
+            ]);
+        });
+
+        test("forwards every run flag to each child", () => {
+            const childArgs = buildMatrixChildArgs({
+                envFolder: "secrets",
+                configFile: "ci.config.json",
+                dryRun: true,
+                keepAliveOnError: true,
+                reuse: true,
+                ephemeralKey: true,
+                detach: true,
+                json: true,
+                maxCost: 0.5
+            });
+
+            expect(childArgs).toEqual([
+                "--env-folder",
+                "secrets",
+                "--config",
+                "ci.config.json",
+                "--dry-run",
+                "--keep-alive-on-error",
+                "--reuse",
+                "--ephemeral-key",
+                "--detach",
+                "--json",
+                "--max-cost",
+                "0.5"
+            ]);
+        });
+
+        test("never forwards the profile selection", () => {
+            const childArgs = buildMatrixChildArgs({
+                envFolder: ".env",
+                profile: "preview",
+                profiles: "preview,production",
+                usedProfile: true
+            });
+
+            expect(childArgs).not.toContain("--profiles");
+            expect(childArgs).not.toContain("--profile");
+            expect(childArgs).not.toContain("preview");
+        });
+    });
+
+    describe("matrixExitCode", () => {
+        test("is zero when every build succeeded", () => {
+            expect(matrixExitCode([{ status: "succeeded" }, { status: "succeeded", exitCode: 0 }])).toBe(0);
+        });
+
+        test("uses the exit code of the first failed build", () => {
+            const outcomes = [
+                { profile: "preview", status: "succeeded", exitCode: 0 },
+                { profile: "production", status: "failed", exitCode: 4 },
+                { profile: "staging", status: "failed", exitCode: 6 }
+            ];
+            expect(matrixExitCode(outcomes)).toBe(4);
+        });
+
+        test("falls back to 1 for interrupted builds", () => {
+            expect(matrixExitCode([{ status: "interrupted", exitCode: null }, { status: "failed", exitCode: 5 }])).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const {
+    formatRemoteHost,
+    ipv6HostAddress,
+    publicNetPayload,
+    resolveNetworkSettings,
+    resolvePrivateNetworkId,
+    serverAddress
+} = require("../src/network");
+
+describe("network", () => {
+    const server = {
+        public_net: {
+            ipv4: { ip: "203.0.113.10" },
+            ipv6: { ip: "2a01:4f8:c17:1234::/64" }
+        },
+        private_net: [
+            { network: 7, ip: "10.0.0.5" },
+            { network: 9, ip: "10.1.0.5" }
+        ]
+    };
+
+    test("validates the network mode", () => {
+        expect(resolveNetworkSettings({})).toEqual({ mode: "ipv4", privateNetwork: null, jumpHost: null });
+        expect(() => resolveNetworkSettings({ network: { mode: "ipv6" } })).toThrow(/Invalid network.mode/);
+        expect(() => resolveNetworkSettings({ network: { mode: "private" } })).toThrow(/requires network.privateNetwork/);
+    });
+
+    test("picks the address to connect to for each mode", () => {
+        expect(serverAddress(server, { mode: "ipv4" })).toBe("203.0.113.10");
+        expect(serverAddress(server, { mode: "ipv6-only" })).toBe("2a01:4f8:c17:1234::1");
+        expect(serverAddress(server, { mode: "private" }, 9)).toBe("10.1.0.5");
+        expect(serverAddress(server, { mode: "private" })).toBe("10.0.0.5");
+        expect(serverAddress({ public_net: { ipv4: null } }, { mode: "ipv4" })).toBeNull();
+        expect(ipv6HostAddress(null)).toBeNull();
+    });
+
+    test("brackets IPv6 hosts in scp and rsync targets", () => {
+        expect(formatRemoteHost("2a01:4f8:c17:1234::1")).toBe("[2a01:4f8:c17:1234::1]");
+        expect(formatRemoteHost("203.0.113.10")).toBe("203.0.113.10");
+    });
+
+    test("disables the primary IPv4 only for ipv6-only builders", () => {
+        expect(publicNetPayload({ mode: "ipv6-only" })).toEqual({ enable_ipv4: false, enable_ipv6: true });
+        expect(publicNetPayload({ mode: "private" })).toBeUndefined();
+    });
+
+    test("looks up private networks by name or ID", async () => {
+        const client = { listNetworks: jest.fn().mockResolvedValue([{ id: 7, name: "builders" }]) };
+        await expect(resolvePrivateNetworkId(client, "builders")).resolves.toBe(7);
+        await expect(resolvePrivateNetworkId(client, 12)).resolves.toBe(12);
+        expect(client.listNetworks).toHaveBeenCalledTimes(1);
+
+        client.listNetworks.mockResolvedValue([]);
+        await expect(resolvePrivateNetworkId(client, "missing")).rejects.toThrow(/not found/);
+    });
+});
@@ -0,0 +1,105 @@
+const { logWarn, redact } = require("../src/logger");
+const { renderPayload, resolveNotificationSettings, sendNotifications } = require("../src/notifications");
+
+jest.mock("../src/logger");
+
+describe("notifications", () => {
+    const context = {
+        status: "failed",
+        profile: "preview",
+        project: "app",
+        durationMs: 754000,
+        serverType: "cpx52",
+        location: "fsn1",
+        artifactPath: null,
+        uploadUrl: null,
+        gitCommit: "abc123",
+        error: "Remote build failed",
+        failedPhase: "build",
+        logTail: ["> Task :app:bundleRelease FAILED", "BUILD FAILED in 9m"],
+        historyId: "h1"
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redact.mockImplementation((text) => text);
+    });
+
+    test("validates webhooks and reads URLs from the environment", () => {
+        const settings = resolveNotificationSettings(
+            { notifications: { webhooks: [{ urlEnv: "SLACK_URL", format: "slack", on: ["failed"] }, { url: "https://example.com/hook" }] } },
+            { SLACK_URL: "https://hooks.slack.com/services/x" }
+        );
+        expect(settings.webhooks).toEqual([
+            { url: "https://hooks.slack.com/services/x", format: "slack", on: ["failed"], headers: {}, template: null },
+            { url: "https://example.com/hook", format: "generic", on: ["succeeded", "failed"], headers: {}, template: null }
+        ]);
+
+        expect(() => resolveNotificationSettings({ notifications: { webhooks: [{ format: "slack" }] } }, {})).toThrow(/requires a url or urlEnv/);
+        expect(() => resolveNotificationSettings({ notifications: { webhooks: [{ url: "u", format: "teams" }] } }, {})).toThrow(/invalid format/);
+        expect(() => resolveNotificationSettings({ notifications: { webhooks: [{ url: "u", on: ["done"] }] } }, {})).toThrow(/unknown event/);
+    });
+
+    test("skips webhooks whose URL variable is not set", () => {
+        const settings = resolveNotificationSettings(
+            { notifications: { webhooks: [{ urlEnv: "MISSING", format: "slack" }, { url: "https://example.com/hook" }] } },
+            {}
+        );
+
+        expect(settings.webhooks.map((webhook) => webhook.url)).toEqual(["https://example.com/hook"]);
+        expect(logWarn).toHaveBeenCalledWith(expect.stringContaining("MISSING is not set; skipping this webhook"));
+    });
+
+    test("accepts cancelled as an opt-in event", () => {
+        const settings = resolveNotificationSettings({ notifications: { webhooks: [{ url: "u", on: ["cancelled"] }] } }, {});
+        expect(settings.webhooks[0].on).toEqual(["cancelled"]);
+        expect(renderPayload({ format: "slack" }, { ...context, status: "cancelled", error: null }).text).toMatch(
+            /^⏹️ htzbuild preview build cancelled/
+        );
+    });
+
+    test("formats chat messages within the services' size limits", () => {
+        const slack = renderPayload({ format: "slack" }, context);
+        expect(slack.text).toContain("❌ htzbuild preview build failed in 12m 34s (cpx52 @ fsn1)");
+        expect(slack.text).toContain("Error in build: Remote build failed");
+        expect(slack.text).toContain("```\n> Task :app:bundleRelease FAILED\nBUILD FAILED in 9m\n```");
+
+        const longLog = { ...context, logTail: Array.from({ length: 500 }, (_, index) => `line ${index}`) };
+        const discord = renderPayload({ format: "discord" }, longLog);
+        expect(discord.content.length).toBeLessThanOrEqual(2000);
+        expect(discord.content).toContain("line 499\n```");
+
+        expect(renderPayload({ format: "generic" }, context)).toMatchObject({ event: "build_failed", profile: "preview" });
+    });
+
+    test("renders custom templates", () => {
+        const payload = renderPayload(
+            { format: "generic", template: { title: "${PROFILE} ${STATUS}", fields: ["${DURATION}", "${UNKNOWN}"], count: 1 } },
+            context
+        );
+        expect(payload).toEqual({ title: "preview failed", fields: ["12m 34s", "${UNKNOWN}"], count: 1 });
+    });
+
+    test("never throws when delivery fails", async () => {
+        const settings = {
+            timeoutMs: 1000,
+            webhooks: [
+                { url: "https://a.example", format: "generic", on: ["failed"], headers: {} },
+                { url: "https://b.example", format: "slack", on: ["failed"], headers: { Authorization: "Bearer t" } },
+                { url: "https://c.example", format: "discord", on: ["succeeded"], headers: {} }
+            ]
+        };
+        const fetchImpl = jest
+            .fn()
+            .mockRejectedValueOnce(new Error("getaddrinfo ENOTFOUND"))
+            .mockResolvedValueOnce({ ok: false, status: 500 });
+
+        await expect(sendNotifications(settings, context, { fetchImpl })).resolves.toEqual([
+            { format: "generic", ok: false },
+            { format: "slack", ok: false }
+        ]);
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+        expect(fetchImpl.mock.calls[1][1].headers).toEqual({ "Content-Type": "application/json", Authorization: "Bearer t" });
+        expect(logWarn).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,54 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { detectPackageManager, installCommandFor, resolveInstallPlan } = require("../src/packageManager");
+
+describe("packageManager", () => {
+    let dir;
+
+    function write(file, content = "") {
+        fs.writeFileSync(path.join(dir, file), content);
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-pm-test-"));
+        write("package.json", "{}");
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("falls back to npm install without a lockfile", () => {
+        expect(resolveInstallPlan({}, dir)).toMatchObject({ name: "npm", lockfile: null, command: "npm install", setup: [] });
+    });
+
+    test("detects the package manager from lockfiles", () => {
+        write("package-lock.json", "{}");
+        expect(resolveInstallPlan({}, dir).command).toBe("npm ci");
+
+        write("pnpm-lock.yaml");
+        const plan = resolveInstallPlan({}, dir);
+        expect(plan).toMatchObject({ name: "pnpm", command: "pnpm install --frozen-lockfile", setup: ["corepack enable"] });
+        expect(plan.otherLockfiles).toEqual(["package-lock.json"]);
+    });
+
+    test("prefers the packageManager field and tells yarn releases apart", () => {
+        write("yarn.lock");
+        expect(detectPackageManager(dir)).toMatchObject({ name: "yarn", yarnBerry: false });
+        expect(installCommandFor(detectPackageManager(dir))).toBe("yarn install --frozen-lockfile");
+
+        write("package.json", JSON.stringify({ packageManager: "yarn@4.1.0" }));
+        expect(detectPackageManager(dir)).toMatchObject({ name: "yarn", version: "4.1.0", yarnBerry: true });
+        expect(installCommandFor(detectPackageManager(dir))).toBe("yarn install --immutable");
+    });
+
+    test("installs bun from npm and honours installCommand", () => {
+        write("bun.lockb");
+        write("package.json", JSON.stringify({ packageManager: "bun@1.1.3" }));
+        expect(resolveInstallPlan({ installCommand: "bun install --production" }, dir)).toMatchObject({
+            command: "bun install --production",
+            setup: ["command -v bun >/dev/null 2>&1 || npm install -g 'bun@1.1.3'"]
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const { acquirePooledServer, releasePooledServer, isExpired } = require("../src/pool");
+
+jest.mock("../src/logger");
+
+function pooled(id, state, overrides = {}) {
+    return {
+        id,
+        name: `htzbuild-pool-${id}`,
+        status: "running",
+        labels: { "htzbuild-pool": "builder", "htzbuild-pool-state": state },
+        server_type: { name: "cpx52" },
+        datacenter: { location: { name: "fsn1" } },
+        ...overrides
+    };
+}
+
+describe("pool", () => {
+    const settle = { settleMs: 0 };
+
+    function fakeClient(servers) {
+        const labels = {};
+        return {
+            listServers: jest.fn().mockResolvedValue(servers),
+            updateServer: jest.fn(async (id, payload) => {
+                labels[id] = payload.labels;
+                return {};
+            }),
+            getServer: jest.fn(async (id) => ({ ...servers.find((server) => server.id === id), labels: labels[id] })),
+            deleteServer: jest.fn().mockResolvedValue({})
+        };
+    }
+
+    test("treats halted servers and passed deadlines as expired", () => {
+        const now = Date.now();
+        expect(isExpired(pooled(1, "idle", { status: "off" }), now)).toBe(true);
+        expect(isExpired(pooled(1, "idle", { labels: { "htzbuild-idle-until": String(now / 1000 - 60) } }), now)).toBe(true);
+        expect(isExpired(pooled(1, "idle"), now)).toBe(false);
+    });
+
+    test("acquires a matching idle server and marks it busy", async () => {
+        const expired = pooled(1, "idle", { status: "off" });
+        const busy = pooled(2, "busy");
+        const otherType = pooled(3, "idle", { server_type: { name: "cx22" } });
+        const match = pooled(4, "idle");
+        const client = fakeClient([expired, busy, otherType, match]);
+
+        const server = await acquirePooledServer(client, { serverType: "cpx52", location: "fsn1", ...settle });
+
+        expect(server.id).toBe(4);
+        expect(client.deleteServer).toHaveBeenCalledWith(1);
+        expect(client.updateServer).toHaveBeenCalledWith(4, {
+            labels: {
+                "htzbuild-pool": "builder",
+                "htzbuild-pool-state": "busy",
+                "htzbuild-pool-claim": expect.stringMatching(/^[0-9a-f]{16}$/),
+                "htzbuild-claimed-at": expect.stringMatching(/^\d+$/)
+            }
+        });
+        expect(server.labels["htzbuild-pool-claim"]).toBe(client.updateServer.mock.calls[0][1].labels["htzbuild-pool-claim"]);
+    });
+
+    test("prefers idle servers by server type, then location", async () => {
+        const fallbackLocation = pooled(1, "idle", { datacenter: { location: { name: "hel1" } } });
+        const fallbackType = pooled(2, "idle", { server_type: { name: "ccx33" } });
+        const preferred = pooled(3, "idle", { datacenter: { location: { name: "nbg1" } } });
+        const client = fakeClient([fallbackType, fallbackLocation, preferred]);
+
+        const server = await acquirePooledServer(client, {
+            serverType: ["cpx52", "ccx33"],
+            location: ["fsn1", "nbg1", "hel1"],
+            ...settle
+        });
+
+        expect(server.id).toBe(3);
+        expect(client.updateServer).toHaveBeenCalledTimes(1);
+    });
+
+    test("returns null when no server matches", async () => {
+        const client = fakeClient([pooled(1, "busy")]);
+        expect(await acquirePooledServer(client, { serverType: "cpx52", location: "fsn1", ...settle })).toBeNull();
+    });
+
+    test("moves on when a concurrent run overwrote the claim", async () => {
+        const contested = pooled(1, "idle");
+        const next = pooled(2, "idle", { datacenter: { location: { name: "nbg1" } } });
+        const client = fakeClient([contested, next]);
+        const getServer = client.getServer.getMockImplementation();
+        client.getServer.mockImplementation(async (id) => {
+            const server = await getServer(id);
+            return id === 1 ? { ...server, labels: { ...server.labels, "htzbuild-pool-claim": "someone-else" } } : server;
+        });
+
+        const server = await acquirePooledServer(client, { serverType: "cpx52", location: ["fsn1", "nbg1"], ...settle });
+
+        expect(server.id).toBe(2);
+        expect(client.updateServer.mock.calls.map(([id]) => id)).toEqual([1, 2]);
+    });
+
+    test("lets exactly one of two simultaneous claims win", async () => {
+        const client = fakeClient([pooled(1, "idle")]);
+        const options = { serverType: "cpx52", location: "fsn1", settleMs: 10 };
+
+        const results = await Promise.all([acquirePooledServer(client, options), acquirePooledServer(client, options)]);
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+    });
+
+    test("releases a server with an idle deadline", async () => {
+        const client = fakeClient([]);
+        const idleUntil = await releasePooledServer(client, pooled(4, "busy"), 15);
+
+        const { labels } = client.updateServer.mock.calls[0][1];
+        expect(labels["htzbuild-pool-state"]).toBe("idle");
+        expect(Number(labels["htzbuild-idle-until"])).toBe(Math.floor(idleUntil / 1000));
+    });
+});
@@ -0,0 +1,53 @@
+const {
+    billedCost,
+    billedHours,
+    budgetLifetimeMs,
+    medianDuration,
+    proratedCost,
+    resolveHourlyPrice,
+    resolvePricingSettings
+} = require("../src/pricing");
+
+const MINUTE = 60 * 1000;
+
+describe("pricing", () => {
+    test("prefers config prices, then the API, then the built-in table", async () => {
+        const client = {
+            listServerTypes: jest.fn().mockResolvedValue([
+                { name: "cpx52", prices: [{ location: "fsn1", price_hourly: { net: "0.0600000000", gross: "0.0714000000" } }] }
+            ])
+        };
+
+        const configured = resolvePricingSettings({ pricing: { hourly: { cpx52: { default: 0.05, hel1: 0.04 } } } });
+        expect(await resolveHourlyPrice(client, configured, "cpx52", "hel1")).toMatchObject({ hourly: 0.04, source: "config" });
+        expect(await resolveHourlyPrice(client, configured, "cpx52", "fsn1")).toMatchObject({ hourly: 0.05, source: "config" });
+
+        const defaults = resolvePricingSettings({});
+        expect(await resolveHourlyPrice(client, defaults, "cpx52", "fsn1")).toMatchObject({ hourly: 0.06, source: "api" });
+
+        client.listServerTypes.mockRejectedValue(new Error("offline"));
+        expect(await resolveHourlyPrice(client, defaults, "cpx52", "fsn1")).toMatchObject({ source: "table" });
+        expect(await resolveHourlyPrice(null, defaults, "unknown", "fsn1")).toBeNull();
+    });
+
+    test("bills every started hour but prorates pooled usage", () => {
+        const price = { hourly: 0.05, currency: "EUR" };
+        expect(billedHours(5 * MINUTE)).toBe(1);
+        expect(billedHours(61 * MINUTE)).toBe(2);
+        expect(billedCost(price, 61 * MINUTE)).toBe(0.1);
+        expect(proratedCost(price, 30 * MINUTE)).toBe(0.025);
+    });
+
+    test("derives the server lifetime a budget allows", () => {
+        const price = { hourly: 0.05, currency: "EUR" };
+        expect(budgetLifetimeMs(price, 0.12)).toBe(2 * 60 * MINUTE);
+        expect(budgetLifetimeMs(price, 0.01)).toBe(0);
+        expect(budgetLifetimeMs(price, null)).toBeNull();
+        expect(resolvePricingSettings({ budget: { maxCost: 1.5 } }).maxCost).toBe(1.5);
+    });
+
+    test("takes the median of previous durations", () => {
+        expect(medianDuration([])).toBeNull();
+        expect(medianDuration([30, 10, 20])).toBe(20);
+    });
+});
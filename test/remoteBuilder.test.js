@@ -0,0 +1,244 @@
+jest.mock("../src/logger");
+
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { HcloudApiError } = require("../src/hcloudClient");
+const { logWarn } = require("../src/logger");
+const { RemoteBuilder } = require("../src/remoteBuilder");
+
+function capacityError(code = "resource_unavailable") {
+    return new HcloudApiError("server location disabled", { code, status: 412 });
+}
+
+function makeBuilder(createServer) {
+    const builder = new RemoteBuilder("preview", { HCLOUD_TOKEN: "token" }, {
+        serverTypes: ["cpx52", "cpx42"],
+        locations: ["fsn1", "nbg1"]
+    }, {});
+    builder.hcloud.createServer = jest.fn(createServer);
+    builder.hcloud.deleteServer = jest.fn(async () => {});
+    return builder;
+}
+
+describe("RemoteBuilder", () => {
+    describe("createServerWithFallback", () => {
+        test("moves on to the next location and server type on capacity errors", async () => {
+            const builder = makeBuilder(async ({ server_type: serverType, location }) => {
+                if (serverType === "cpx42" && location === "nbg1") {
+                    return { id: 7 };
+                }
+                throw capacityError(location === "fsn1" ? "resource_unavailable" : "placement_error");
+            });
+
+            await expect(builder.createServerWithFallback({ name: "builder" })).resolves.toEqual({ id: 7 });
+            const attempts = builder.hcloud.createServer.mock.calls.map(
+                ([payload]) => `${payload.server_type}@${payload.location}`
+            );
+            expect(attempts).toEqual([
+                "cpx52@fsn1",
+                "cpx52@nbg1",
+                "cpx42@fsn1",
+                "cpx42@nbg1"
+            ]);
+            expect(builder.serverType).toBe("cpx42");
+            expect(builder.location).toBe("nbg1");
+        });
+
+        test("stops at the first other error and keeps its type, code and status", async () => {
+            const builder = makeBuilder(async () => {
+                throw new HcloudApiError("limit reached", { code: "resource_limit_exceeded", status: 403 });
+            });
+
+            const error = await builder.createServerWithFallback({ name: "builder" }).catch((caught) => caught);
+            expect(error).toBeInstanceOf(HcloudApiError);
+            expect(error).toMatchObject({ code: "resource_limit_exceeded", status: 403 });
+            expect(error.message).toBe("Failed to create server: limit reached (resource_limit_exceeded)");
+            expect(builder.hcloud.createServer).toHaveBeenCalledTimes(1);
+        });
+
+        test("reports the last capacity error when every candidate is unavailable", async () => {
+            const builder = makeBuilder(async () => {
+                throw capacityError();
+            });
+
+            const error = await builder.createServerWithFallback({ name: "builder" }).catch((caught) => caught);
+            expect(error).toBeInstanceOf(HcloudApiError);
+            expect(error).toMatchObject({ code: "resource_unavailable", status: 412 });
+            expect(error.message).toMatch(/tried cpx52@fsn1, cpx52@nbg1, cpx42@fsn1, cpx42@nbg1/);
+        });
+
+        test("deletes a server left behind by a failed create action", async () => {
+            const builder = makeBuilder(async ({ location }) => {
+                if (location === "nbg1") {
+                    return { id: 8 };
+                }
+                const error = capacityError();
+                error.server = { id: 5 };
+                throw error;
+            });
+
+            await expect(builder.createServerWithFallback({ name: "builder" })).resolves.toEqual({ id: 8 });
+            expect(builder.hcloud.deleteServer).toHaveBeenCalledWith(5);
+            expect(builder.hcloud.deleteServer).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe("matrix children", () => {
+        let keyDir;
+
+        beforeEach(() => {
+            keyDir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-rb-key-"));
+        });
+
+        afterEach(() => {
+            fs.rmSync(keyDir, { recursive: true, force: true });
+        });
+
+        function makeMatrixChild(passphrase) {
+            const keyFile = path.join(keyDir, "id_test");
+            childProcess.spawnSync("ssh-keygen", ["-q", "-t", "ed25519", "-N", passphrase, "-f", keyFile], {
+                stdio: "ignore"
+            });
+            return new RemoteBuilder(
+                "preview",
+                { HCLOUD_TOKEN: "token", HETZNER_SSH_KEY_FILE: keyFile, HTZBUILD_NON_INTERACTIVE: "1" },
+                {},
+                {}
+            );
+        }
+
+        test("never let ssh prompt", () => {
+            const builder = makeMatrixChild("");
+            expect(builder.sshArgs.join(" ")).toContain("-o BatchMode=yes");
+            expect(() => builder.ensureKeyNeedsNoPrompt()).not.toThrow();
+        });
+
+        test("fail fast on a key that needs a passphrase", () => {
+            const builder = makeMatrixChild("secret passphrase");
+            expect(() => builder.ensureKeyNeedsNoPrompt()).toThrow(/needs a passphrase, but matrix builds cannot prompt/);
+
+            builder.env.SSH_AUTH_SOCK = "/tmp/agent.sock";
+            expect(() => builder.ensureKeyNeedsNoPrompt()).not.toThrow();
+        });
+
+        test("refuse to ask questions", async () => {
+            const builder = makeMatrixChild("");
+            await expect(builder.askQuestion("Upload a new key? (y/N) ")).rejects.toThrow(
+                'Cannot ask "Upload a new key? (y/N)" during a matrix build'
+            );
+        });
+    });
+
+    describe("deleteFirewallSync", () => {
+        function makeFirewallBuilder() {
+            const builder = makeBuilder(async () => ({}));
+            builder.firewall = { id: 3, name: "htzbuild-fw" };
+            builder.hcloud.waitForActionSync = jest.fn();
+            builder.hcloud.deleteFirewallSync = jest.fn();
+            return builder;
+        }
+
+        test("waits for the server delete action before deleting the firewall", () => {
+            const builder = makeFirewallBuilder();
+            const action = { id: 9, status: "running" };
+
+            builder.deleteFirewallSync(action);
+
+            expect(builder.hcloud.waitForActionSync).toHaveBeenCalledWith(action, 60000);
+            expect(builder.hcloud.deleteFirewallSync).toHaveBeenCalledWith(3);
+            expect(builder.hcloud.waitForActionSync.mock.invocationCallOrder[0]).toBeLessThan(
+                builder.hcloud.deleteFirewallSync.mock.invocationCallOrder[0]
+            );
+            expect(builder.firewall).toBeNull();
+        });
+
+        test("reports why the firewall could not be deleted", () => {
+            const builder = makeFirewallBuilder();
+            builder.hcloud.deleteFirewallSync.mockImplementation(() => {
+                throw new HcloudApiError("firewall is still in use", { code: "resource_in_use", status: 422 });
+            });
+
+            builder.deleteFirewallSync(null);
+
+            expect(logWarn).toHaveBeenCalledWith("Failed to delete firewall htzbuild-fw: firewall is still in use");
+            expect(logWarn).toHaveBeenCalledWith("Run 'htzbuild gc' later to remove it.");
+        });
+    });
+
+    describe("startWatchdog", () => {
+        function makeWatchdogBuilder(env, options = {}) {
+            const builder = new RemoteBuilder("preview", { HCLOUD_TOKEN: "main-token", ...env }, {
+                watchdog: { enabled: true, graceMinutes: 15, detachedHours: 2 }
+            }, options);
+            builder.runSSHCommand = jest.fn(() => ({ status: 0, stdout: "", stderr: "" }));
+            return builder;
+        }
+
+        test("never falls back to the main API token", async () => {
+            const builder = makeWatchdogBuilder({});
+
+            await expect(builder.startWatchdog()).resolves.toBeNull();
+            expect(builder.runSSHCommand).not.toHaveBeenCalled();
+            expect(builder.watchdogActive).toBe(false);
+        });
+
+        test("uploads the watchdog token", async () => {
+            const builder = makeWatchdogBuilder({ HETZNER_WATCHDOG_TOKEN: "watchdog-token" });
+
+            builder.startHeartbeat = jest.fn();
+
+            await builder.startWatchdog();
+            expect(builder.runSSHCommand.mock.calls[0][1]).toEqual({ input: "Authorization: Bearer watchdog-token\n" });
+            expect(builder.watchdogActive).toBe(true);
+            expect(builder.startHeartbeat).toHaveBeenCalledWith(15);
+        });
+
+        test("re-arms the watchdog with the idle deadline when a server goes back to the pool", async () => {
+            const builder = makeWatchdogBuilder({ HETZNER_WATCHDOG_TOKEN: "watchdog-token" }, { reuse: true });
+            builder.serverId = "42";
+            builder.watchdogActive = true;
+            builder.pooledServer = { id: 42, labels: {} };
+            builder.poolIdleMinutes = 20;
+            builder.hcloud.updateServer = jest.fn(async () => ({}));
+            builder.hcloud.getServer = jest.fn(async () => ({ id: 42, labels: {} }));
+
+            await builder.releaseToPool();
+
+            const command = builder.runSSHCommand.mock.calls[0][0];
+            expect(command).toContain("DEADLINE=$(( $(date +%s) + 1200 ))");
+            expect(command).toContain("HEARTBEAT_TIMEOUT=0");
+            expect(command).not.toContain("shutdown -h +20");
+            expect(builder.watchdogActive).toBe(false);
+        });
+
+        test("detaches the cache volume before a server goes back to the pool", async () => {
+            const builder = makeWatchdogBuilder({}, { reuse: true });
+            builder.serverId = "42";
+            builder.pooledServer = { id: 42, labels: {} };
+            builder.cacheVolume = { id: 7, name: "htzbuild-cache-fsn1" };
+            builder.hcloud.detachVolume = jest.fn(async () => {});
+            builder.hcloud.updateServer = jest.fn(async () => ({}));
+
+            await builder.releaseToPool();
+
+            expect(builder.hcloud.detachVolume).toHaveBeenCalledWith(7);
+            expect(builder.hcloud.detachVolume.mock.invocationCallOrder[0]).toBeLessThan(
+                builder.hcloud.updateServer.mock.invocationCallOrder[0]
+            );
+            expect(builder.cacheVolume).toBeNull();
+            expect(builder.runSSHCommand.mock.calls[0][0]).toContain("umount");
+        });
+
+        test("gives detached builds detachedHours to be fetched", async () => {
+            const env = { HETZNER_WATCHDOG_TOKEN: "watchdog-token" };
+            const attached = await makeWatchdogBuilder(env, { dryRun: true }).startWatchdog();
+            const detached = await makeWatchdogBuilder(env, { dryRun: true, detach: true }).startWatchdog();
+
+            expect(detached.watchdog.lifetimeMinutes - attached.watchdog.lifetimeMinutes).toBe(120);
+            expect(detached.watchdog.heartbeatMinutes).toBe(0);
+        });
+    });
+});
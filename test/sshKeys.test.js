@@ -0,0 +1,45 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { generateClientKey, removeClientKey, sweepClientKeys } = require("../src/sshKeys");
+
+describe("sshKeys", () => {
+    test("generates a throwaway key in its own directory and removes it again", () => {
+        const parentDir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-test-"));
+        try {
+            const key = generateClientKey(parentDir, "eas-builder-preview-1");
+
+            expect(path.dirname(key.dir)).toBe(parentDir);
+            expect(key.publicKey).toMatch(/^ssh-ed25519 \S+ eas-builder-preview-1$/);
+            expect(fs.existsSync(key.keyFile)).toBe(true);
+
+            removeClientKey(key.dir);
+            expect(fs.existsSync(key.dir)).toBe(false);
+        } finally {
+            fs.rmSync(parentDir, { recursive: true, force: true });
+        }
+    });
+
+    test("sweeps key directories left behind by killed runs", () => {
+        const parentDir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-test-"));
+        try {
+            const stale = path.join(parentDir, "htzbuild-key-stale");
+            const kept = path.join(parentDir, "htzbuild-key-detached");
+            const fresh = path.join(parentDir, "htzbuild-key-fresh");
+            const other = path.join(parentDir, "unrelated");
+            [stale, kept, fresh, other].forEach((dir) => fs.mkdirSync(dir));
+            const old = new Date(Date.now() - 5 * 3600000);
+            [stale, kept, other].forEach((dir) => fs.utimesSync(dir, old, old));
+
+            const options = { maxAgeMs: 3 * 3600000, keep: [kept] };
+            expect(sweepClientKeys(parentDir, { ...options, dryRun: true })).toEqual([stale]);
+            expect(fs.existsSync(stale)).toBe(true);
+
+            expect(sweepClientKeys(parentDir, options)).toEqual([stale]);
+            expect(fs.readdirSync(parentDir).sort()).toEqual(["htzbuild-key-detached", "htzbuild-key-fresh", "unrelated"]);
+            expect(sweepClientKeys(path.join(parentDir, "missing"), options)).toEqual([]);
+        } finally {
+            fs.rmSync(parentDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,86 @@
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    createShallowGitDir,
+    listGitFiles,
+    parseIgnoreFile,
+    resolveSyncSettings
+} = require("../src/sync");
+
+describe("sync", () => {
+    test("defaults to rsync and rejects unknown modes", () => {
+        expect(resolveSyncSettings({})).toEqual({ mode: "rsync", untracked: false });
+        expect(resolveSyncSettings({ syncMode: "git", syncUntracked: true })).toEqual({ mode: "git", untracked: true });
+        expect(() => resolveSyncSettings({ syncMode: "svn" })).toThrow(/Invalid syncMode/);
+    });
+
+    test("translates gitignore syntax into rsync filter rules", () => {
+        const rules = parseIgnoreFile(
+            ["# comment", "", "*.log", "!keep.log", "docs/build/", "/secret", "\\#notes", "**/tmp", "assets/raw   "].join("\n")
+        );
+
+        expect(rules).toEqual([
+            "- /assets/raw",
+            "- **/tmp",
+            "- #notes",
+            "- /secret",
+            "- /docs/build/",
+            "+ keep.log",
+            "- *.log"
+        ]);
+    });
+
+    describe("git", () => {
+        let repoDir;
+
+        function git(...args) {
+            return childProcess.execFileSync("git", args, { cwd: repoDir, encoding: "utf8" }).trim();
+        }
+
+        beforeEach(() => {
+            repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-sync-test-"));
+            git("init", "-q", "-b", "main");
+            git("config", "user.email", "dev@example.com");
+            git("config", "user.name", "Dev");
+            fs.writeFileSync(path.join(repoDir, ".gitignore"), "*.log\n");
+            fs.writeFileSync(path.join(repoDir, "app.json"), "{}\n");
+            fs.writeFileSync(path.join(repoDir, "old.js"), "\n");
+            git("add", "-A");
+            git("commit", "-q", "-m", "init");
+            fs.rmSync(path.join(repoDir, "old.js"));
+            fs.writeFileSync(path.join(repoDir, "staged.js"), "\n");
+            git("add", "staged.js");
+            fs.writeFileSync(path.join(repoDir, "new.js"), "\n");
+            fs.writeFileSync(path.join(repoDir, "debug.log"), "\n");
+        });
+
+        afterEach(() => {
+            fs.rmSync(repoDir, { recursive: true, force: true });
+        });
+
+        test("lists tracked files and optionally untracked ones, never ignored ones", () => {
+            expect(listGitFiles(repoDir).sort()).toEqual([".gitignore", "app.json", "staged.js"]);
+            expect(listGitFiles(repoDir, { untracked: true }).sort()).toEqual([
+                ".gitignore",
+                "app.json",
+                "new.js",
+                "staged.js"
+            ]);
+        });
+
+        test("creates a shallow .git on the checked-out branch and commit", () => {
+            const commit = git("rev-parse", "HEAD");
+            const dir = createShallowGitDir(repoDir, commit);
+            try {
+                const run = (...args) => childProcess.execFileSync("git", args, { cwd: dir, encoding: "utf8" }).trim();
+                expect(run("rev-parse", "HEAD")).toBe(commit);
+                expect(run("symbolic-ref", "--short", "HEAD")).toBe("main");
+                expect(fs.existsSync(path.join(dir, ".git", "shallow"))).toBe(true);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+});
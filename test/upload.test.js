@@ -0,0 +1,40 @@
+const { presignUpload, renderUploadKey, resolveUploadSettings, uploadCommand } = require("../src/upload");
+
+describe("upload", () => {
+    const env = { HTZBUILD_S3_ACCESS_KEY_ID: "id", HTZBUILD_S3_SECRET_ACCESS_KEY: "secret" };
+
+    test("is off by default and validated once enabled", () => {
+        expect(resolveUploadSettings({}, {})).toMatchObject({ enabled: false, skipDownload: false });
+        expect(() => resolveUploadSettings({ upload: { enabled: true, bucket: "b" } }, env)).toThrow(/upload requires an endpoint/);
+        expect(() =>
+            resolveUploadSettings({ upload: { enabled: true, endpoint: "e", bucket: "b", presignHours: 200 } }, env)
+        ).toThrow(/presignHours/);
+    });
+
+    test("fills key placeholders and keeps unknown ones visible", () => {
+        const key = renderUploadKey("/${PROJECT}/${PROFILE}/${TIMESTAMP}-${GIT_SHORT_SHA}${EXT}", {
+            PROJECT: "app",
+            PROFILE: "preview",
+            TIMESTAMP: "2024-05-01-10-00-00-000",
+            GIT_SHORT_SHA: "abc123",
+            EXT: ".apk"
+        });
+        expect(key).toBe("app/preview/2024-05-01-10-00-00-000-abc123.apk");
+        expect(renderUploadKey("${PROFLE}.apk", { PROFILE: "preview" })).toBe("${PROFLE}.apk");
+    });
+
+    test("signs an upload URL and an optional download URL", () => {
+        const settings = resolveUploadSettings(
+            { upload: { enabled: true, endpoint: "https://fsn1.your-objectstorage.com", bucket: "builds", presignHours: 48 } },
+            env
+        );
+        const { putUrl, downloadUrl } = presignUpload(settings, "app/build.apk");
+        expect(putUrl).toMatch(/^https:\/\/fsn1\.your-objectstorage\.com\/builds\/app\/build\.apk\?.*X-Amz-Expires=3600/);
+        expect(downloadUrl).toContain("X-Amz-Expires=172800");
+        expect(presignUpload({ ...settings, presign: false }, "app/build.apk").downloadUrl).toBeNull();
+    });
+
+    test("reads the upload URL from stdin", () => {
+        expect(uploadCommand("/root/build-output.apk")).toBe('url="$(cat)" && curl -fsS -T /root/build-output.apk "$url"');
+    });
+});
@@ -0,0 +1,64 @@
+const {
+    heartbeatLoopScript,
+    renderWatchdogScript,
+    resolveWatchdogSettings,
+    watchdogAuthHeader,
+    watchdogStartCommand,
+    watchdogStopCommand
+} = require("../src/watchdog");
+
+describe("watchdog", () => {
+    test("is off by default and merges configured limits", () => {
+        expect(resolveWatchdogSettings({})).toEqual({
+            enabled: false,
+            graceMinutes: 15,
+            heartbeatMinutes: 15,
+            detachedHours: 24
+        });
+        expect(resolveWatchdogSettings({ watchdog: { enabled: true, heartbeatMinutes: 5 } })).toMatchObject({
+            enabled: true,
+            graceMinutes: 15,
+            heartbeatMinutes: 5
+        });
+    });
+
+    test("deletes the server through the API once the deadline or heartbeat runs out", () => {
+        const script = renderWatchdogScript({
+            endpoint: "https://api.hetzner.cloud/v1/",
+            serverId: "42",
+            lifetimeSeconds: 4500,
+            heartbeatTimeoutSeconds: 900
+        });
+
+        expect(script).toContain("DEADLINE=$(( $(date +%s) + 4500 ))");
+        expect(script).toContain("HEARTBEAT_TIMEOUT=900");
+        expect(script).toContain("curl -fsS -X DELETE");
+        expect(script).toContain("'https://api.hetzner.cloud/v1/servers/42'");
+        expect(script).toContain("-H @/root/htzbuild-watchdog-token");
+        expect(script).not.toContain("Bearer");
+    });
+
+    test("replaces a running watchdog and removes the token when stopped", () => {
+        const start = watchdogStartCommand("echo watchdog");
+        expect(start.indexOf("kill")).toBeLessThan(start.indexOf("nohup setsid bash"));
+        expect(start).toContain("echo watchdog\nHTZBUILD_WATCHDOG");
+
+        expect(watchdogStopCommand()).toContain("rm -f /root/htzbuild-watchdog.pid /root/htzbuild-watchdog-token");
+    });
+
+    test("keeps the token in a header file for curl", () => {
+        expect(watchdogAuthHeader("secret")).toBe("Authorization: Bearer secret\n");
+    });
+
+    test("touches the heartbeat until the client process is gone", () => {
+        const script = heartbeatLoopScript({
+            parentPid: 4242,
+            intervalSeconds: 300,
+            sshCommand: ["ssh", "-i", "/tmp/key file", "root@203.0.113.10"]
+        });
+
+        expect(script).toContain("while kill -0 4242 2>/dev/null; do");
+        expect(script).toContain("ssh -i '/tmp/key file' 'root@203.0.113.10' 'touch /root/htzbuild-heartbeat'");
+        expect(script).toContain("sleep 300");
+    });
+});
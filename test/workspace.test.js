@@ -0,0 +1,51 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    remoteAppDir,
+    resolveRemotePath,
+    resolveSyncExcludes,
+    resolveWorkspaceSettings
+} = require("../src/workspace");
+
+describe("workspace", () => {
+    let root;
+
+    beforeEach(() => {
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "htzbuild-workspace-test-")));
+        fs.mkdirSync(path.join(root, "apps", "mobile"), { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test("treats the current directory as both root and app by default", () => {
+        expect(resolveWorkspaceSettings({}, root)).toEqual({ workspaceRoot: root, appDir: "", appPath: root });
+    });
+
+    test("resolves appDir against the workspace root from either end", () => {
+        const appPath = path.join(root, "apps", "mobile");
+        const expected = { workspaceRoot: root, appDir: "apps/mobile", appPath };
+
+        expect(resolveWorkspaceSettings({ appDir: "apps/mobile" }, root)).toEqual(expected);
+        expect(resolveWorkspaceSettings({ workspaceRoot: "../.." }, appPath)).toEqual(expected);
+        expect(() => resolveWorkspaceSettings({ appDir: "apps/web" }, root)).toThrow(/appDir not found/);
+        expect(() => resolveWorkspaceSettings({ appDir: ".." }, root)).toThrow(/not inside workspaceRoot/);
+    });
+
+    test("maps app-relative paths onto the builder", () => {
+        expect(remoteAppDir("/root/project", "")).toBe("/root/project");
+        expect(remoteAppDir("/root/project/", "apps/mobile")).toBe("/root/project/apps/mobile");
+        expect(resolveRemotePath("dist/app.apk", "/root/project/apps/mobile")).toBe("/root/project/apps/mobile/dist/app.apk");
+        expect(resolveRemotePath("/root/build-output.apk", "/root/project/apps/mobile")).toBe("/root/build-output.apk");
+    });
+
+    test("anchors rooted sync excludes at the app directory", () => {
+        expect(resolveSyncExcludes(["node_modules", "/android"], "apps/mobile")).toEqual([
+            "node_modules",
+            "/apps/mobile/android"
+        ]);
+        expect(resolveSyncExcludes(["/android"], "")).toEqual(["/android"]);
+    });
+});